@@ -1,5 +1,18 @@
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
+import { resolveStatePath, transformStateValue } from './stateBindings.js';
+
+// State message fields that describe the message rather than deck state
+const STATE_META_FIELDS = new Set(['type', 'source', 'deck', 'timestamp', 'event']);
+
+// Top-level state sections that are not tied to a deck
+const GLOBAL_STATE_SECTIONS = ['mixer', 'pfl', 'fx', 'clock', 'sampler'];
+
+// Decks present before the engine reports any (more are created on demand, e.g. C/D)
+const DEFAULT_DECKS = ['A', 'B'];
+
+// Deck fields with dedicated (legacy) feedback handling
+const DECK_FEEDBACK_FIELDS = new Set(['playback', 'position', 'vuMeter', 'sync', 'tempo']);
 
 /**
  * Centralized feedback management
@@ -8,46 +21,31 @@ import { logger } from '../utils/logger.js';
  * - Subscribe to Audio Engine state (which aggregates all service states)
  * - Maintain controller state model
  * - Push LED/display updates to controllers
+ * - Evaluate declarative state bindings from device mappings (feedback.state)
  * - Throttle updates to avoid overwhelming controllers
  *
  * Note: Audio Engine forwards state updates from App Server and Web UI,
  * so we only need a single connection point.
  */
 export class FeedbackManager extends EventEmitter {
-  constructor(midiManager, hidManager, wsClients) {
+  constructor(midiManager, hidManager, wsClients, mapper) {
     super();
 
     this.midiManager = midiManager;
     this.hidManager = hidManager; // Will be null in Phase 1
     // Single connection point - Audio Engine forwards all state updates
     this.audioClient = wsClients.audio;
+    // Resolves the translator (and therefore the feedback mapping) for each device
+    this.mapper = mapper;
 
     // State cache
-    this.state = {
-      deckA: {
-        playback: { playing: false, paused: false, cued: false },
-        position: { currentTime: 0, duration: 0 },
-        vuMeter: { peak: 0, rms: 0 },
-        sync: { enabled: false, locked: false },
-        tempo: { bpm: 120, pitch: 0 }
-      },
-      deckB: {
-        playback: { playing: false, paused: false, cued: false },
-        position: { currentTime: 0, duration: 0 },
-        vuMeter: { peak: 0, rms: 0 },
-        sync: { enabled: false, locked: false },
-        tempo: { bpm: 120, pitch: 0 }
-      },
-      mixer: {},
-      library: {
-        selectedTrack: null,
-        playlist: null
-      }
-    };
+    this.state = this._createInitialState();
 
     // Throttle tracking
     this.lastUpdate = new Map(); // control key -> timestamp
     this.updateThrottles = new Map(); // control type -> interval (ms)
+    this.pendingLEDUpdates = new Map(); // control key -> { timer, state }
+    this.bindingStates = new Map(); // control key -> last state sent by a binding
 
     // Set default throttles
     this.updateThrottles.set('led', 20); // 20ms = 50Hz
@@ -66,9 +64,169 @@ export class FeedbackManager extends EventEmitter {
       this._onStateUpdate(message);
     });
 
+    // Rebuild the model from the full state on every (re)connect
+    this.audioClient.on('snapshot', (snapshot) => {
+      this.applySnapshot(snapshot).catch(error => {
+        logger.error('Failed to apply state snapshot', { error: error.message });
+      });
+    });
+
+    // The first snapshot may have arrived before we subscribed
+    const snapshot = this.audioClient.getStateSnapshot();
+
+    if (snapshot) {
+      await this.applySnapshot(snapshot);
+    }
+
     logger.info('FeedbackManager initialized');
   }
 
+  /**
+   * Create the state cache with defaults (used until the engine reports real state)
+   * @private
+   */
+  _createInitialState() {
+    const state = {
+      mixer: {},
+      pfl: {},
+      fx: {},
+      clock: {},
+      sampler: {},
+      library: {
+        selectedTrack: null,
+        playlist: null
+      }
+    };
+
+    for (const deck of DEFAULT_DECKS) {
+      state[this._getDeckKey(deck)] = this._createDeckState();
+    }
+
+    return state;
+  }
+
+  /**
+   * State cache key for a deck ('c' -> 'deckC')
+   * @private
+   */
+  _getDeckKey(deck) {
+    return `deck${String(deck).toUpperCase()}`;
+  }
+
+  /**
+   * Get a deck's state, creating it the first time the engine mentions the deck
+   * @private
+   * @param {object} state - State cache to look in
+   * @param {string} deck - Deck identifier
+   */
+  _ensureDeck(state, deck) {
+    const deckKey = this._getDeckKey(deck);
+
+    if (!state[deckKey]) {
+      state[deckKey] = this._createDeckState();
+      logger.info(`Deck ${String(deck).toUpperCase()} added to state model`);
+    }
+
+    return state[deckKey];
+  }
+
+  /**
+   * @private
+   */
+  _createDeckState() {
+    return {
+      playback: { playing: false, paused: false, cued: false },
+      position: { currentTime: 0, duration: 0 },
+      vuMeter: { peak: 0, rms: 0 },
+      sync: { enabled: false, locked: false },
+      tempo: { bpm: 120, pitch: 0 }
+    };
+  }
+
+  /**
+   * Replace the state model with a full engine snapshot (getState reply), then resync all controllers
+   * Anything without `decks` is not a full state and leaves the cache as it is.
+   * @param {object} snapshot - getState reply
+   * @returns {Promise<void>}
+   */
+  async applySnapshot(snapshot) {
+    const source = snapshot?.state && typeof snapshot.state === 'object' ? snapshot.state : snapshot;
+
+    if (!source?.decks || typeof source.decks !== 'object') {
+      logger.warn('Ignoring Audio Engine snapshot without decks (not a full state)');
+      return;
+    }
+
+    const state = this._createInitialState();
+
+    // Library state comes from the App Server, not the engine snapshot
+    state.library = this.state.library;
+
+    for (const section of GLOBAL_STATE_SECTIONS) {
+      if (source[section] && typeof source[section] === 'object') {
+        this._mergeState(state[section], source[section]);
+      }
+    }
+
+    for (const [deck, deckState] of this._getSnapshotDecks(source)) {
+      const target = this._ensureDeck(state, deck);
+
+      // Missing or null sections (playback: null) keep their defaults instead of replacing them
+      const fields = Object.fromEntries(
+        Object.entries(deckState || {}).filter(([field, value]) => {
+          if (STATE_META_FIELDS.has(field) || field === 'id' || value === undefined || value === null) {
+            return false;
+          }
+
+          return !this._isPlainObject(target[field]) || this._isPlainObject(value);
+        })
+      );
+
+      this._mergeState(target, fields);
+    }
+
+    this.state = state;
+    this.bindingStates.clear();
+
+    logger.info('State rebuilt from Audio Engine snapshot');
+    this.emit('state:snapshot', this.state);
+
+    for (const device of this._getFeedbackDevices()) {
+      await this.syncDevice(device.deviceId);
+    }
+  }
+
+  /**
+   * Get [deck, deckState] pairs from a snapshot
+   * Accepts `decks` as an object keyed by deck or an array of { deck | id, ... }, and top-level `deckA`-style keys
+   * @private
+   */
+  _getSnapshotDecks(source) {
+    const decks = [];
+
+    if (Array.isArray(source.decks)) {
+      for (const deckState of source.decks) {
+        const deck = deckState?.deck ?? deckState?.id;
+
+        if (deck !== undefined) {
+          decks.push([deck, deckState]);
+        }
+      }
+    } else if (source.decks && typeof source.decks === 'object') {
+      decks.push(...Object.entries(source.decks));
+    }
+
+    for (const [key, deckState] of Object.entries(source)) {
+      const match = key !== 'decks' && /^deck(\w+)$/.exec(key);
+
+      if (match && deckState && typeof deckState === 'object') {
+        decks.push([match[1], deckState]);
+      }
+    }
+
+    return decks.filter(([, deckState]) => deckState && typeof deckState === 'object');
+  }
+
   /**
    * Handle state updates from Audio Engine
    * Audio Engine forwards state from all services with a 'source' field
@@ -93,14 +251,43 @@ export class FeedbackManager extends EventEmitter {
    * @private
    */
   _handleAudioState(state) {
-    const deck = state.deck?.toLowerCase() || 'a';
-    const deckKey = `deck${deck.toUpperCase()}`;
+    const changedSections = [];
 
-    if (!this.state[deckKey]) {
-      logger.warn(`Unknown deck in state update: ${deck}`);
+    // Global sections (mixer, PFL, FX buses, clock)
+    for (const section of GLOBAL_STATE_SECTIONS) {
+      if (state[section] && typeof state[section] === 'object') {
+        this._mergeState(this.state[section], state[section]);
+        changedSections.push(section);
+      }
+    }
+
+    // Deck removed from the mixer (mixer.removeDeck)
+    if (state.event === 'deckRemoved' && state.deck) {
+      this._removeDeck(state.deck);
+      this._updateBindings(changedSections);
       return;
     }
 
+    const deckFields = Object.keys(state)
+      .filter(field => !STATE_META_FIELDS.has(field) && !GLOBAL_STATE_SECTIONS.includes(field));
+
+    // Deck added to the mixer (mixer.addDeck) without any state yet
+    if (state.event === 'deckAdded' && state.deck) {
+      this._ensureDeck(this.state, state.deck);
+    }
+
+    if (deckFields.length === 0) {
+      this._updateBindings(changedSections);
+      this.emit('state:audio', { deck: null, state });
+      return;
+    }
+
+    // The engine may send numeric deck ids
+    const deck = String(state.deck ?? 'a').toLowerCase();
+    const deckKey = this._getDeckKey(deck);
+
+    this._ensureDeck(this.state, deck);
+
     // Update state cache
     if (state.playback) {
       this.state[deckKey].playback = { ...this.state[deckKey].playback, ...state.playback };
@@ -125,9 +312,126 @@ export class FeedbackManager extends EventEmitter {
       this.state[deckKey].tempo = { ...this.state[deckKey].tempo, ...state.tempo };
     }
 
+    // Everything else (loop, hotcues, slip, ...) is cached as-is for feedback bindings
+    const extraFields = {};
+
+    for (const field of deckFields) {
+      if (!DECK_FEEDBACK_FIELDS.has(field)) {
+        extraFields[field] = state[field];
+      }
+    }
+
+    this._mergeState(this.state[deckKey], extraFields);
+
+    changedSections.push(deckKey);
+    this._updateBindings(changedSections);
+
     this.emit('state:audio', { deck, state });
   }
 
+  /**
+   * Drop a deck from the state model and clear its feedback
+   * @private
+   */
+  _removeDeck(deck) {
+    const deckKey = this._getDeckKey(deck);
+
+    if (!this.state[deckKey]) {
+      return;
+    }
+
+    delete this.state[deckKey];
+    logger.info(`Deck ${String(deck).toUpperCase()} removed from state model`);
+
+    // Bindings under the removed deck now resolve to undefined (off)
+    this._updateBindings([deckKey]);
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Deep-merge a state patch into the cache (arrays and primitives are replaced)
+   * @private
+   */
+  _mergeState(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+      const targetIsObject = target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key]);
+
+      if (isObject && targetIsObject) {
+        this._mergeState(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Push declarative feedback bindings affected by changed state sections
+   * @private
+   * @param {Array<string>} sections - Changed top-level state keys (e.g., 'deckA', 'pfl')
+   */
+  _updateBindings(sections) {
+    if (sections.length === 0 || !this.mapper) {
+      return;
+    }
+
+    for (const device of this._getFeedbackDevices()) {
+      this._syncBindings(device, sections).catch(error => {
+        logger.error('Failed to update feedback bindings', {
+          deviceId: device.deviceId,
+          error: error.message
+        });
+      });
+    }
+  }
+
+  /**
+   * Evaluate a device's feedback bindings and send the ones that changed
+   * @private
+   * @param {object} device - Feedback device { deviceId, name, protocol, mapping }
+   * @param {Array<string>|null} sections - Only evaluate bindings under these sections (null = all)
+   * @param {boolean} force - Send even if the state is unchanged
+   * @param {boolean} layeredOnly - Only evaluate bindings of layered (conditional) mappings
+   */
+  async _syncBindings(device, sections = null, force = false, layeredOnly = false) {
+    const translator = await this.mapper.getTranslator(device.deviceId, device.name, device.mapping);
+
+    for (const binding of translator.getFeedbackBindings()) {
+      if (layeredOnly && !binding.condition) {
+        continue;
+      }
+
+      // Layered mappings (e.g., pads in another pad mode) don't own the LED right now
+      if (!translator.isBindingActive(binding)) {
+        continue;
+      }
+
+      // Side-relative paths ('left.loop.enabled') follow the device's deck assignment
+      const segments = translator.resolveBindingSegments(binding);
+
+      if (sections && !sections.includes(segments[0])) {
+        continue;
+      }
+
+      const value = resolveStatePath(this.state, segments);
+      const state = transformStateValue(value, binding.transform);
+      const key = `${device.deviceId}:${binding.controlId}`;
+
+      if (!force && this.bindingStates.get(key) === state) {
+        continue;
+      }
+
+      this.bindingStates.set(key, state);
+      this._updateLED(device.deviceId, binding.controlId, state, true);
+    }
+  }
+
   /**
    * Handle app-related state updates (forwarded by Audio Engine)
    * @private
@@ -150,7 +454,7 @@ export class FeedbackManager extends EventEmitter {
    * @private
    */
   _updatePlaybackFeedback(deck, playback) {
-    const devices = this.midiManager.getConnectedDevices();
+    const devices = this._getFeedbackDevices();
 
     for (const device of devices) {
       // Play button LED
@@ -170,7 +474,7 @@ export class FeedbackManager extends EventEmitter {
    * @private
    */
   _updateSyncFeedback(deck, sync) {
-    const devices = this.midiManager.getConnectedDevices();
+    const devices = this._getFeedbackDevices();
 
     for (const device of devices) {
       const state = sync.enabled && sync.locked ? 'locked' : sync.enabled ? 'enabled' : 'disabled';
@@ -190,12 +494,12 @@ export class FeedbackManager extends EventEmitter {
       return;
     }
 
-    const devices = this.midiManager.getConnectedDevices();
+    const devices = this._getFeedbackDevices();
 
     for (const device of devices) {
       // For MIDI, VU meter is typically not available
       // For HID (Phase 2), this will send actual VU meter data
-      if (this.hidManager && device.config.protocol === 'hid') {
+      if (device.protocol === 'hid') {
         // TODO: Implement HID VU meter in Phase 2
       }
     }
@@ -215,11 +519,11 @@ export class FeedbackManager extends EventEmitter {
       return;
     }
 
-    const devices = this.midiManager.getConnectedDevices();
+    const devices = this._getFeedbackDevices();
 
     for (const device of devices) {
       // For HID devices with displays (Phase 2)
-      if (this.hidManager && device.config.protocol === 'hid') {
+      if (device.protocol === 'hid') {
         // TODO: Implement HID display updates in Phase 2
       }
     }
@@ -229,25 +533,119 @@ export class FeedbackManager extends EventEmitter {
 
   /**
    * Update LED on device
+   * Throttled per control; the latest throttled state is sent once the interval has passed
    * @private
+   * @param {boolean} bound - Update comes from a declarative state binding
    */
-  _updateLED(deviceId, controlId, state) {
+  _updateLED(deviceId, controlId, state, bound = false) {
     const key = `${deviceId}:${controlId}`;
+    const interval = this.updateThrottles.get('led');
 
     // Throttle LED updates
-    if (!this._shouldUpdate(key, this.updateThrottles.get('led'))) {
+    if (!this._shouldUpdate(key, interval)) {
+      const pending = this.pendingLEDUpdates.get(key);
+
+      if (pending) {
+        pending.state = state;
+        pending.bound = bound;
+        return;
+      }
+
+      const delay = interval - (Date.now() - this.lastUpdate.get(key));
+      const entry = { state, bound, timer: null };
+
+      entry.timer = setTimeout(() => {
+        this.pendingLEDUpdates.delete(key);
+        this._updateLED(deviceId, controlId, entry.state, entry.bound);
+      }, Math.max(delay, 0));
+
+      this.pendingLEDUpdates.set(key, entry);
       return;
     }
 
-    // Get translator for device
-    // TODO: We need access to mapper/translator here
-    // For now, this is a placeholder
+    this.lastUpdate.set(key, Date.now());
+
+    this._sendLED(deviceId, controlId, state, bound).catch(error => {
+      logger.error('Failed to send LED feedback', {
+        deviceId,
+        controlId,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Resolve the device's translator and send the LED message
+   * @private
+   */
+  async _sendLED(deviceId, controlId, state, bound = false) {
+    const device = this._getFeedbackDevices().find(d => d.deviceId === deviceId);
+
+    if (!device || !this.mapper) {
+      return false;
+    }
+
+    const translator = await this.mapper.getTranslator(deviceId, device.name, device.mapping);
+
+    if (!bound) {
+      // Built-in feedback for a layered deck shows on the side currently driving it
+      controlId = translator.resolveFeedbackControl(controlId);
+
+      // Controls with a state binding are owned by the binding, not the built-in play/cue/sync feedback
+      if (!controlId || translator.hasFeedbackBinding(controlId)) {
+        return false;
+      }
+    }
 
     if (process.env.DEBUG === 'true') {
       logger.debug('LED update', { deviceId, controlId, state });
     }
 
-    this.lastUpdate.set(key, Date.now());
+    if (device.protocol === 'hid') {
+      const output = translator.controlToHID(controlId, state);
+
+      if (!output || output.type !== 'led') {
+        return false;
+      }
+
+      return this.hidManager.updateOutputReport(deviceId, output.reportId, {
+        byte: output.byte,
+        bit: output.bit,
+        value: output.value
+      });
+    }
+
+    const message = translator.controlToMIDI(controlId, state);
+
+    if (!message) {
+      return false;
+    }
+
+    return this.midiManager.sendMIDI(deviceId, message);
+  }
+
+  /**
+   * Get all connected devices that can receive feedback
+   * @private
+   * @returns {Array<object>} { deviceId, name, protocol }
+   */
+  _getFeedbackDevices() {
+    const devices = this.midiManager.getConnectedDevices()
+      // Devices still waiting for their mapping (identity query) get no feedback yet
+      .filter(device => device.hasOutput && device.config)
+      .map(device => ({ deviceId: device.deviceId, name: device.name, protocol: 'midi', mapping: device.config }));
+
+    if (this.hidManager) {
+      for (const device of this.hidManager.getConnectedDevices()) {
+        if (!device.config) {
+          continue;
+        }
+
+        devices.push({ deviceId: device.deviceId, name: device.product, protocol: 'hid', mapping: device.config });
+      }
+    }
+
+    return devices;
   }
 
   /**
@@ -267,12 +665,22 @@ export class FeedbackManager extends EventEmitter {
 
   /**
    * Get current state for a deck
-   * @param {string} deck - Deck identifier ('A' or 'B')
-   * @returns {object} Deck state
+   * @param {string} deck - Deck identifier ('A', 'B', 'C', ...)
+   * @returns {object|undefined} Deck state, or undefined if the engine has no such deck
    */
   getDeckState(deck) {
-    const deckKey = `deck${deck.toUpperCase()}`;
-    return this.state[deckKey];
+    return this.state[this._getDeckKey(deck)];
+  }
+
+  /**
+   * Get identifiers of all decks in the state model
+   * @returns {Array<string>} Deck identifiers (e.g., ['A', 'B', 'C', 'D'])
+   */
+  getDecks() {
+    return Object.keys(this.state)
+      .filter(key => /^deck.+$/.test(key))
+      .map(key => key.slice(4))
+      .sort();
   }
 
   /**
@@ -299,11 +707,17 @@ export class FeedbackManager extends EventEmitter {
   async syncDevice(deviceId) {
     logger.info(`Syncing feedback for device ${deviceId}`);
 
-    // Sync deck A state
-    await this._syncDeckState(deviceId, 'a', this.state.deckA);
+    // Sync every known deck
+    for (const deck of this.getDecks()) {
+      await this._syncDeckState(deviceId, deck.toLowerCase(), this.getDeckState(deck));
+    }
+
+    // Sync declarative feedback bindings
+    const device = this._getFeedbackDevices().find(d => d.deviceId === deviceId);
 
-    // Sync deck B state
-    await this._syncDeckState(deviceId, 'b', this.state.deckB);
+    if (device && this.mapper) {
+      await this._syncBindings(device, null, true);
+    }
 
     // Sync track info
     if (this.state.library.selectedTrack) {
@@ -311,18 +725,32 @@ export class FeedbackManager extends EventEmitter {
     }
   }
 
+  /**
+   * Resend the bindings of layered mappings after a modifier change
+   * Called when e.g. a pad mode button switches which mappings drive the pad LEDs
+   * @param {string} deviceId - Device ID
+   */
+  async syncLayeredBindings(deviceId) {
+    const device = this._getFeedbackDevices().find(d => d.deviceId === deviceId);
+
+    if (device && this.mapper) {
+      await this._syncBindings(device, null, true, true);
+    }
+  }
+
   /**
    * Sync deck state to device
    * @private
    */
   async _syncDeckState(deviceId, deck, deckState) {
     // Sync playback LEDs
-    this._updateLED(deviceId, `play_${deck}`, deckState.playback.playing ? 'playing' : 'stopped');
-    this._updateLED(deviceId, `cue_${deck}`, deckState.playback.cued ? 'cued' : 'stopped');
+    this._updateLED(deviceId, `play_${deck}`, deckState?.playback?.playing ? 'playing' : 'stopped');
+    this._updateLED(deviceId, `cue_${deck}`, deckState?.playback?.cued ? 'cued' : 'stopped');
 
     // Sync sync LED
-    const syncState = deckState.sync.enabled && deckState.sync.locked ? 'locked' :
-      deckState.sync.enabled ? 'enabled' : 'disabled';
+    const sync = deckState?.sync;
+    const syncState = sync?.enabled && sync.locked ? 'locked' :
+      sync?.enabled ? 'enabled' : 'disabled';
     this._updateLED(deviceId, `sync_${deck}`, syncState);
   }
 }
@@ -0,0 +1,138 @@
+/**
+ * State path parsing and value transforms for declarative feedback bindings
+ *
+ * A mapping's feedback block can bind an engine state path to its output control:
+ *   "feedback": { "led": true, "state": "deckB.hotcues[3].set", "stateMap": { "on": 127, "off": 0 } }
+ *
+ * Paths are resolved against FeedbackManager's state cache.
+ */
+
+const SEGMENT_PATTERN = /^([A-Za-z_$][\w$]*)((?:\[\d+\])*)$/;
+
+/**
+ * Parse a state path into property/index segments
+ * @param {string} path - State path (e.g., 'deckB.hotcues[3].set')
+ * @returns {Array<string|number>} Path segments
+ * @throws {Error} If the path is malformed
+ */
+export function parseStatePath(path) {
+  if (typeof path !== 'string' || path.length === 0) {
+    throw new Error('State path must be a non-empty string');
+  }
+
+  const segments = [];
+
+  for (const part of path.split('.')) {
+    const match = SEGMENT_PATTERN.exec(part);
+
+    if (!match) {
+      throw new Error(`Invalid state path "${path}" at "${part}"`);
+    }
+
+    segments.push(match[1]);
+
+    for (const index of match[2].matchAll(/\[(\d+)\]/g)) {
+      segments.push(parseInt(index[1], 10));
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve parsed path segments against a state object
+ * @param {object} state - State cache
+ * @param {Array<string|number>} segments - Parsed path segments
+ * @returns {*} Value at path, or undefined if any segment is missing
+ */
+export function resolveStatePath(state, segments) {
+  let current = state;
+
+  for (const segment of segments) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+
+    current = current[segment];
+  }
+
+  return current;
+}
+
+/**
+ * Validate a feedback transform config
+ * @param {string|object|undefined} transform - Transform config
+ * @throws {Error} If the transform is unknown or incomplete
+ */
+export function validateTransform(transform) {
+  if (transform === undefined || transform === 'boolean' || transform === 'raw') {
+    return;
+  }
+
+  if (typeof transform !== 'object' || transform === null) {
+    throw new Error(`Unknown feedback transform "${transform}"`);
+  }
+
+  if ('equals' in transform || 'threshold' in transform) {
+    return;
+  }
+
+  if (Array.isArray(transform.scale) && transform.scale.length === 2) {
+    const [inMin, inMax] = transform.scale;
+
+    if (typeof inMin !== 'number' || typeof inMax !== 'number' || inMin === inMax) {
+      throw new Error('Feedback transform "scale" must be two different numbers [inMin, inMax]');
+    }
+
+    if (transform.range !== undefined && !(Array.isArray(transform.range) && transform.range.length === 2 &&
+      transform.range.every(n => typeof n === 'number'))) {
+      throw new Error('Feedback transform "range" must be [outMin, outMax]');
+    }
+
+    return;
+  }
+
+  throw new Error('Feedback transform must be "boolean", "raw", or an object with equals, threshold or scale');
+}
+
+/**
+ * Transform a raw state value into a feedback state
+ *
+ * Transforms:
+ * - "boolean" (default): truthy -> 'on', falsy -> 'off'
+ * - "raw": value stringified and looked up in stateMap as-is (values without an entry are off)
+ * - { "equals": x }: 'on' when value === x
+ * - { "threshold": n }: 'on' when value >= n
+ * - { "scale": [inMin, inMax], "range": [outMin, outMax] }: numeric output value (default range 0-127)
+ *
+ * @param {*} value - Raw state value
+ * @param {string|object} transform - Transform config
+ * @returns {string|number} State key for stateMap lookup, or numeric output value
+ */
+export function transformStateValue(value, transform = 'boolean') {
+  if (transform === 'raw') {
+    return String(value);
+  }
+
+  if (transform === 'boolean') {
+    return value ? 'on' : 'off';
+  }
+
+  if ('equals' in transform) {
+    return value === transform.equals ? 'on' : 'off';
+  }
+
+  if ('threshold' in transform) {
+    return typeof value === 'number' && value >= transform.threshold ? 'on' : 'off';
+  }
+
+  // Scale numeric value into output range
+  const [inMin, inMax] = transform.scale;
+  const [outMin, outMax] = transform.range || [0, 127];
+  const numeric = typeof value === 'number' ? value : inMin;
+  const normalized = Math.min(Math.max((numeric - inMin) / (inMax - inMin), 0), 1);
+
+  return Math.round(outMin + normalized * (outMax - outMin));
+}
+
+export default { parseStatePath, resolveStatePath, validateTransform, transformStateValue };
@@ -17,6 +17,11 @@ export class HIDManager extends EventEmitter {
     this.devices = new Map(); // deviceId -> { device, config, state, pollInterval, parser }
     this.pollingIntervals = new Map(); // deviceId -> intervalId
     this.knownDevices = new Set(); // Track known device paths to avoid duplicates
+    this.outputReports = new Map(); // deviceId -> Map(reportId -> Buffer)
+
+    // Hot-plug detection: device paths seen on the last poll
+    this.availablePaths = new Set();
+    this.hotPlugTimer = null;
   }
 
   /**
@@ -27,36 +32,7 @@ export class HIDManager extends EventEmitter {
   async scanDevices(filters = {}) {
     try {
       const allDevices = HID.devices();
-
-      // Filter for DJ controllers if no specific filters provided
-      let devices = allDevices;
-
-      if (filters.vendorId || filters.productId) {
-        devices = allDevices.filter(d => {
-          const vendorMatch = !filters.vendorId || d.vendorId === filters.vendorId;
-          const productMatch = !filters.productId || d.productId === filters.productId;
-          return vendorMatch && productMatch;
-        });
-      } else {
-        // Auto-detect known DJ controller vendors
-        const knownVendors = [
-          0x17cc, // Native Instruments
-          0x2b73, // Pioneer DJ
-          0x06f8, // Guillemot (Hercules)
-          0x0763, // M-Audio
-          0x0944, // Korg
-          0x09e8, // AKAI
-        ];
-
-        devices = allDevices.filter(d =>
-          knownVendors.includes(d.vendorId) ||
-          d.manufacturer?.toLowerCase().includes('native') ||
-          d.manufacturer?.toLowerCase().includes('pioneer') ||
-          d.product?.toLowerCase().includes('kontrol') ||
-          d.product?.toLowerCase().includes('ddj') ||
-          d.product?.toLowerCase().includes('traktor')
-        );
-      }
+      const devices = this._filterDevices(allDevices, filters);
 
       logger.info('HID scan results', {
         total: allDevices.length,
@@ -78,6 +54,105 @@ export class HIDManager extends EventEmitter {
     }
   }
 
+  /**
+   * Filter HID device list by vendor/product, or by known DJ controller vendors
+   * @private
+   */
+  _filterDevices(allDevices, filters = {}) {
+    if (filters.vendorId || filters.productId) {
+      return allDevices.filter(d => {
+        const vendorMatch = !filters.vendorId || d.vendorId === filters.vendorId;
+        const productMatch = !filters.productId || d.productId === filters.productId;
+        return vendorMatch && productMatch;
+      });
+    }
+
+    // Auto-detect known DJ controller vendors
+    const knownVendors = [
+      0x17cc, // Native Instruments
+      0x2b73, // Pioneer DJ
+      0x06f8, // Guillemot (Hercules)
+      0x0763, // M-Audio
+      0x0944, // Korg
+      0x09e8, // AKAI
+    ];
+
+    return allDevices.filter(d =>
+      knownVendors.includes(d.vendorId) ||
+      d.manufacturer?.toLowerCase().includes('native') ||
+      d.manufacturer?.toLowerCase().includes('pioneer') ||
+      d.product?.toLowerCase().includes('kontrol') ||
+      d.product?.toLowerCase().includes('ddj') ||
+      d.product?.toLowerCase().includes('traktor')
+    );
+  }
+
+  /**
+   * Start polling for HID devices being plugged in or removed
+   *
+   * New DJ controllers emit 'device:available' (the server connects them with a mapping).
+   * Connected devices whose paths disappear are disconnected ('device:disconnected').
+   * @param {number} intervalMs - Poll interval
+   */
+  startHotPlugDetection(intervalMs = 2000) {
+    if (this.hotPlugTimer) {
+      return;
+    }
+
+    // Devices present now were handled by the startup scan
+    try {
+      this.availablePaths = new Set(this._filterDevices(HID.devices()).map(d => d.path));
+    } catch (error) {
+      logger.warn('Failed to list HID devices for hot-plug detection', { error: error.message });
+    }
+
+    this.hotPlugTimer = setInterval(() => {
+      this._checkHotPlug().catch(error => {
+        logger.error('HID hot-plug check failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    logger.info('HID hot-plug detection started', { intervalMs });
+  }
+
+  /**
+   * Stop hot-plug polling
+   */
+  stopHotPlugDetection() {
+    if (this.hotPlugTimer) {
+      clearInterval(this.hotPlugTimer);
+      this.hotPlugTimer = null;
+      logger.debug('HID hot-plug detection stopped');
+    }
+  }
+
+  /**
+   * Diff available devices against the last poll
+   * @private
+   */
+  async _checkHotPlug() {
+    const devices = this._filterDevices(HID.devices());
+    const current = new Set(devices.map(d => d.path));
+
+    // Connected devices whose paths are gone
+    for (const [deviceId, deviceInfo] of Array.from(this.devices.entries())) {
+      if (!current.has(deviceInfo.path)) {
+        logger.info(`HID device removed: ${deviceInfo.manufacturer} ${deviceInfo.product}`);
+        await this.disconnectDevice(deviceId);
+      }
+    }
+
+    // New devices
+    for (const device of devices) {
+      if (!this.availablePaths.has(device.path) && !this.knownDevices.has(device.path)) {
+        logger.info(`HID device plugged in: ${device.manufacturer} ${device.product}`);
+        this.emit('device:available', { ...device, protocol: 'hid' });
+      }
+    }
+
+    this.availablePaths = current;
+  }
+
   /**
    * Connect to a specific HID device
    * @param {string} path - HID device path
@@ -169,20 +244,22 @@ export class HIDManager extends EventEmitter {
       if (deviceInfo.device) {
         deviceInfo.device.close();
       }
-
-      this.devices.delete(deviceId);
-      this.knownDevices.delete(deviceInfo.path);
-
-      this.emit('device:disconnected', {
-        deviceId,
-        manufacturer: deviceInfo.manufacturer,
-        product: deviceInfo.product
-      });
-
-      logger.info(`HID device disconnected: ${deviceInfo.manufacturer} ${deviceInfo.product} (ID: ${deviceId})`);
     } catch (error) {
+      // An unplugged device may fail to close; still forget the device
       logger.error(`Error disconnecting HID device ${deviceId}`, { error: error.message });
     }
+
+    this.devices.delete(deviceId);
+    this.knownDevices.delete(deviceInfo.path);
+    this.outputReports.delete(deviceId);
+
+    this.emit('device:disconnected', {
+      deviceId,
+      manufacturer: deviceInfo.manufacturer,
+      product: deviceInfo.product
+    });
+
+    logger.info(`HID device disconnected: ${deviceInfo.manufacturer} ${deviceInfo.product} (ID: ${deviceId})`);
   }
 
   /**
@@ -218,6 +295,57 @@ export class HIDManager extends EventEmitter {
     }
   }
 
+  /**
+   * Update part of a cached output report and send the whole report
+   * HID LED reports carry every LED at once, so the last sent state is kept per report
+   * @param {string} deviceId - Device ID
+   * @param {number} reportId - Report ID
+   * @param {object} update - { byte, bit, value } - sets a single bit if bit is given, else the whole byte
+   * @returns {boolean} Success status
+   */
+  updateOutputReport(deviceId, reportId, update) {
+    const deviceInfo = this.devices.get(deviceId);
+
+    if (!deviceInfo) {
+      logger.warn(`Cannot update HID output report on ${deviceId}: device not found`);
+      return false;
+    }
+
+    if (!this.outputReports.has(deviceId)) {
+      this.outputReports.set(deviceId, new Map());
+    }
+
+    const reports = this.outputReports.get(deviceId);
+
+    if (!reports.has(reportId)) {
+      // Find report length from mapping outputs section
+      const outputConfig = Object.values(deviceInfo.config.outputs || {})
+        .find(output => output.reportId === reportId);
+      const reportLength = outputConfig?.reportLength || 64;
+
+      reports.set(reportId, Buffer.alloc(reportLength));
+    }
+
+    const buffer = reports.get(reportId);
+
+    if (update.byte === undefined || update.byte >= buffer.length) {
+      logger.warn(`Invalid HID output byte for ${deviceId}`, { reportId, byte: update.byte });
+      return false;
+    }
+
+    if (update.bit !== undefined) {
+      if (update.value) {
+        buffer[update.byte] |= (1 << update.bit);
+      } else {
+        buffer[update.byte] &= ~(1 << update.bit);
+      }
+    } else {
+      buffer[update.byte] = update.value & 0xff;
+    }
+
+    return this.sendHID(deviceId, reportId, buffer);
+  }
+
   /**
    * Start polling device at configured intervals
    * @private
@@ -472,6 +600,29 @@ export class HIDManager extends EventEmitter {
     }));
   }
 
+  /**
+   * Replace a connected device's mapping (after a mapping reload)
+   * @param {string} deviceId - Device ID
+   * @param {object} config - Device configuration (mapping)
+   * @returns {boolean} True if the device is connected
+   */
+  updateDeviceConfig(deviceId, config) {
+    const deviceInfo = this.devices.get(deviceId);
+
+    if (!deviceInfo) {
+      return false;
+    }
+
+    deviceInfo.config = config;
+    deviceInfo.parser = this._createParser(config);
+
+    // Polling intervals come from the mapping too
+    this._stopPolling(deviceId);
+    this._startPolling(deviceId);
+
+    return true;
+  }
+
   /**
    * Disconnect all devices
    */
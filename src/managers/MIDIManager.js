@@ -1,6 +1,11 @@
 import easymidi from 'easymidi';
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
+import {
+  IDENTITY_REQUEST, parseSysEx, decodeSysEx, parseIdentityReply, formatSysEx, parseSysExSequences
+} from './sysex.js';
+import { ParameterAssembler, encodeParameter, isParameterType } from './parameters.js';
+import { HighResCCPairer } from './highResCC.js';
 
 /**
  * Manages MIDI device connections and event handling
@@ -10,6 +15,10 @@ import { logger } from '../utils/logger.js';
  * - Hot-plug support (detect new devices)
  * - Event emission for normalized MIDI events
  * - Send MIDI output for LED feedback
+ * - SysEx input ('sysex' events) and output, mapping init/shutdown sequences (see sysex.js)
+ * - Universal Identity Request on connect (manufacturer/family/model for mapping selection)
+ * - NRPN/RPN input ('nrpn'/'rpn' input events) and output (see parameters.js)
+ * - 14-bit CC pairs declared by the device mapping (see highResCC.js)
  */
 export class MIDIManager extends EventEmitter {
   constructor() {
@@ -17,9 +26,20 @@ export class MIDIManager extends EventEmitter {
     this.devices = new Map(); // deviceId -> { input, output, config, name }
     this.knownDevices = new Set();
 
-    // 14-bit CC tracking: deviceId -> { controller -> { msb, lsb, timestamp } }
-    this.highResCCState = new Map();
-    this.highResCCTimeout = 50; // ms - time window to pair MSB/LSB
+    // Hot-plug detection: port names seen on the last poll
+    this.availablePorts = new Set();
+    this.hotPlugTimer = null;
+
+    // 14-bit CC pairing: deviceId -> HighResCCPairer (pairs declared by the mapping)
+    this.highResPairers = new Map();
+    this.highResCCTimeout = 50; // ms - time to wait for the second half of a pair
+
+    // NRPN/RPN assembly: deviceId -> ParameterAssembler (channels declared by the mapping)
+    this.parameterState = new Map();
+    this.parameterTimeout = 50; // ms - time to wait for the Data Entry LSB of a highRes parameter
+
+    // Time to wait for a Universal Identity Reply on connect
+    this.identityTimeout = 500; // ms
   }
 
   /**
@@ -48,11 +68,87 @@ export class MIDIManager extends EventEmitter {
     }
   }
 
+  /**
+   * Start polling for MIDI devices being plugged in or removed
+   *
+   * New input ports emit 'device:available' (the server connects them with a mapping).
+   * Connected devices whose ports disappear are disconnected ('device:disconnected').
+   * @param {number} intervalMs - Poll interval
+   */
+  startHotPlugDetection(intervalMs = 2000) {
+    if (this.hotPlugTimer) {
+      return;
+    }
+
+    // Ports present now were handled by the startup scan
+    this.availablePorts = new Set(this._listPorts());
+
+    this.hotPlugTimer = setInterval(() => {
+      this._checkHotPlug().catch(error => {
+        logger.error('MIDI hot-plug check failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    logger.info('MIDI hot-plug detection started', { intervalMs });
+  }
+
+  /**
+   * Stop hot-plug polling
+   */
+  stopHotPlugDetection() {
+    if (this.hotPlugTimer) {
+      clearInterval(this.hotPlugTimer);
+      this.hotPlugTimer = null;
+      logger.debug('MIDI hot-plug detection stopped');
+    }
+  }
+
+  /**
+   * Diff available ports against the last poll
+   * @private
+   */
+  async _checkHotPlug() {
+    const ports = this._listPorts();
+    const current = new Set(ports);
+
+    // Connected devices whose ports are gone
+    for (const [deviceId, device] of Array.from(this.devices.entries())) {
+      if (!current.has(device.name)) {
+        logger.info(`MIDI device removed: ${device.name}`);
+        await this.disconnectDevice(deviceId, { sendShutdown: false });
+      }
+    }
+
+    // New input ports
+    const inputs = new Set(easymidi.getInputs());
+
+    for (const name of current) {
+      if (!this.availablePorts.has(name) && inputs.has(name) && !this.knownDevices.has(name)) {
+        logger.info(`MIDI device plugged in: ${name}`);
+        this.emit('device:available', { name, protocol: 'midi' });
+      }
+    }
+
+    this.availablePorts = current;
+  }
+
+  /**
+   * List MIDI input and output port names
+   * @private
+   */
+  _listPorts() {
+    return [...new Set([...easymidi.getInputs(), ...easymidi.getOutputs()])];
+  }
+
   /**
    * Connect to a specific MIDI device by name
+   *
+   * The device is asked for its identity first. `config` may be a function that picks
+   * the mapping from it; returning null closes the device again.
    * @param {string} deviceName - MIDI device name
-   * @param {object} config - Device configuration
-   * @returns {Promise<string>} Device ID
+   * @param {object|function(object): Promise<object|null>} config - Device configuration (mapping),
+   *   or a selector receiving { deviceId, name, identity }
+   * @returns {Promise<string|null>} Device ID, or null if the selector found no mapping
    */
   async connectDevice(deviceName, config) {
     try {
@@ -92,11 +188,12 @@ export class MIDIManager extends EventEmitter {
         throw new Error(`Could not open MIDI device ${deviceName} for input or output`);
       }
 
-      // Store device info
+      // Store device info; a selector's mapping is set once it has picked one,
+      // and until then the device's input and feedback are ignored
       this.devices.set(deviceId, {
         input,
         output,
-        config,
+        config: typeof config === 'function' ? null : config,
         name: deviceName
       });
 
@@ -107,7 +204,33 @@ export class MIDIManager extends EventEmitter {
         this._setupInputHandlers(deviceId, input);
       }
 
-      this.emit('device:connected', { deviceId, name: deviceName, hasInput: !!input, hasOutput: !!output });
+      const device = this.devices.get(deviceId);
+      device.identity = await this._queryIdentity(deviceId);
+
+      if (typeof config === 'function') {
+        device.config = await config({ deviceId, name: deviceName, identity: device.identity });
+
+        if (!device.config) {
+          // Never reported connected, so close quietly
+          input?.close();
+          output?.close();
+          this.devices.delete(deviceId);
+          this.knownDevices.delete(deviceName);
+          logger.info(`Closed MIDI device ${deviceName}: no mapping selected`);
+          return null;
+        }
+      }
+
+      // Handshake before anything else (feedback sync) is sent to the device
+      await this._sendSysExSequence(deviceId, 'init');
+
+      this.emit('device:connected', {
+        deviceId,
+        name: deviceName,
+        hasInput: !!input,
+        hasOutput: !!output,
+        identity: device.identity
+      });
       logger.info(`MIDI device connected: ${deviceName} (ID: ${deviceId})`);
 
       return deviceId;
@@ -120,8 +243,10 @@ export class MIDIManager extends EventEmitter {
   /**
    * Disconnect a MIDI device
    * @param {string} deviceId - Device ID
+   * @param {object} [options]
+   * @param {boolean} [options.sendShutdown=true] - Send the mapping's shutdown SysEx first (false if the device is gone)
    */
-  async disconnectDevice(deviceId) {
+  async disconnectDevice(deviceId, { sendShutdown = true } = {}) {
     const device = this.devices.get(deviceId);
 
     if (!device) {
@@ -129,6 +254,10 @@ export class MIDIManager extends EventEmitter {
       return;
     }
 
+    if (sendShutdown) {
+      await this._sendSysExSequence(deviceId, 'shutdown');
+    }
+
     try {
       if (device.input) {
         device.input.close();
@@ -137,23 +266,33 @@ export class MIDIManager extends EventEmitter {
       if (device.output) {
         device.output.close();
       }
-
-      this.devices.delete(deviceId);
-      this.knownDevices.delete(device.name);
-
-      this.emit('device:disconnected', { deviceId, name: device.name });
-      logger.info(`MIDI device disconnected: ${device.name} (ID: ${deviceId})`);
     } catch (error) {
+      // Ports of an unplugged device may fail to close; still forget the device
       logger.error(`Error disconnecting device ${deviceId}`, { error: error.message });
     }
+
+    this.devices.delete(deviceId);
+    this.knownDevices.delete(device.name);
+    this.highResPairers.get(deviceId)?.dispose();
+    this.highResPairers.delete(deviceId);
+    this.parameterState.get(deviceId)?.dispose();
+    this.parameterState.delete(deviceId);
+
+    this.emit('device:disconnected', { deviceId, name: device.name });
+    logger.info(`MIDI device disconnected: ${device.name} (ID: ${deviceId})`);
   }
 
   /**
    * Send MIDI message to device
    * @param {string} deviceId - Device ID
-   * @param {object} message - MIDI message { type, channel, note/controller, velocity/value }
+   * @param {object} message - MIDI message { type, channel, note/controller, velocity/value },
+   *   { type: 'nrpn' | 'rpn', channel, parameter, value, highRes } or { type: 'sysex', bytes }
    */
   sendMIDI(deviceId, message) {
+    if (message.type === 'sysex') {
+      return this.sendSysEx(deviceId, message.bytes);
+    }
+
     const device = this.devices.get(deviceId);
 
     if (!device || !device.output) {
@@ -162,6 +301,15 @@ export class MIDIManager extends EventEmitter {
     }
 
     try {
+      if (isParameterType(message.type)) {
+        // Parameter number, then data entry, as plain CCs
+        for (const cc of encodeParameter(message)) {
+          device.output.send('cc', cc);
+        }
+
+        return true;
+      }
+
       device.output.send(message.type, {
         channel: message.channel,
         note: message.note,
@@ -177,6 +325,122 @@ export class MIDIManager extends EventEmitter {
     }
   }
 
+  /**
+   * Send a SysEx message to device
+   * @param {string} deviceId - Device ID
+   * @param {string|Array<number>} message - Hex string or bytes (F0 ... F7)
+   * @returns {boolean} True if sent
+   */
+  sendSysEx(deviceId, message) {
+    const device = this.devices.get(deviceId);
+
+    if (!device || !device.output) {
+      logger.warn(`Cannot send SysEx to ${deviceId}: device not found or no output`);
+      return false;
+    }
+
+    try {
+      const bytes = parseSysEx(message);
+
+      device.output.send('sysex', bytes);
+
+      logger.debug('[MIDI OUT] SysEx', { deviceId, bytes: formatSysEx(bytes) });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send SysEx to ${deviceId}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Ask a device for its identity (Universal Identity Request)
+   * @private
+   * @returns {Promise<object|null>} { manufacturer, manufacturerId, family, model, version }, or null if it didn't answer
+   */
+  async _queryIdentity(deviceId) {
+    const device = this.devices.get(deviceId);
+
+    if (!device?.input || !device.output) {
+      return null;
+    }
+
+    const identity = await new Promise((resolve) => {
+      const onSysEx = (message) => {
+        const reply = message.deviceId === deviceId ? parseIdentityReply(message.bytes) : null;
+
+        if (reply) {
+          done(reply);
+        }
+      };
+
+      const timer = setTimeout(() => done(null), this.identityTimeout);
+
+      const done = (result) => {
+        clearTimeout(timer);
+        this.off('sysex', onSysEx);
+        resolve(result);
+      };
+
+      this.on('sysex', onSysEx);
+
+      if (!this.sendSysEx(deviceId, IDENTITY_REQUEST)) {
+        done(null);
+      }
+    });
+
+    if (identity) {
+      logger.info(`MIDI device identity: ${device.name}`, {
+        manufacturer: identity.manufacturer,
+        family: identity.family,
+        model: identity.model,
+        version: formatSysEx(identity.version)
+      });
+    } else {
+      logger.info(`MIDI device ${device.name} did not answer the identity request`);
+    }
+
+    return identity;
+  }
+
+  /**
+   * Send one of the device mapping's SysEx sequences (init, shutdown)
+   * @private
+   * @returns {Promise<boolean>} False if a message could not be sent
+   */
+  async _sendSysExSequence(deviceId, name) {
+    const device = this.devices.get(deviceId);
+
+    if (!device?.output) {
+      return true;
+    }
+
+    let sequence;
+
+    try {
+      sequence = parseSysExSequences(device.config?.sysex)[name];
+    } catch (error) {
+      logger.error(`Invalid SysEx ${name} sequence for ${device.name}`, { error: error.message });
+      return false;
+    }
+
+    if (!sequence?.length) {
+      return true;
+    }
+
+    logger.info(`Sending SysEx ${name} sequence to ${device.name}`, { messages: sequence.filter(entry => entry.bytes).length });
+
+    for (const entry of sequence) {
+      if (entry.delay !== undefined) {
+        await new Promise(resolve => setTimeout(resolve, entry.delay));
+      } else if (!this.sendSysEx(deviceId, entry.bytes)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Set up input event handlers for a device
    * @private
@@ -191,7 +455,7 @@ export class MIDIManager extends EventEmitter {
         velocity: msg.velocity
       });
       const normalized = this._normalizeMIDIMessage(deviceId, 'noteon', msg);
-      this.emit('input', normalized);
+      this._emitInput(deviceId, normalized);
     });
 
     // Note Off events
@@ -203,7 +467,7 @@ export class MIDIManager extends EventEmitter {
         velocity: msg.velocity
       });
       const normalized = this._normalizeMIDIMessage(deviceId, 'noteoff', msg);
-      this.emit('input', normalized);
+      this._emitInput(deviceId, normalized);
     });
 
     // Control Change events
@@ -216,16 +480,17 @@ export class MIDIManager extends EventEmitter {
       });
       const normalized = this._normalizeMIDIMessage(deviceId, 'cc', msg);
 
-      // Check if this might be part of a 14-bit CC message
-      const processed = this._handle14BitCC(deviceId, normalized);
+      // NRPN/RPN parameter numbers and their data entries are not plain CCs
+      if (this._handleParameterCC(deviceId, normalized)) {
+        return;
+      }
 
-      if (processed) {
-        // Emit the combined 14-bit message
-        this.emit('input', processed);
-      } else {
-        // Emit as regular 7-bit CC (might be MSB waiting for LSB)
-        this.emit('input', normalized);
+      // Halves of declared 14-bit pairs are emitted combined, once complete
+      if (this._handle14BitCC(deviceId, normalized)) {
+        return;
       }
+
+      this._emitInput(deviceId, normalized);
     });
 
     // Pitch Bend events
@@ -236,7 +501,7 @@ export class MIDIManager extends EventEmitter {
         value: msg.value
       });
       const normalized = this._normalizeMIDIMessage(deviceId, 'pitch', msg);
-      this.emit('input', normalized);
+      this._emitInput(deviceId, normalized);
     });
 
     // Program Change events
@@ -247,10 +512,32 @@ export class MIDIManager extends EventEmitter {
         program: msg.number
       });
       const normalized = this._normalizeMIDIMessage(deviceId, 'program', msg);
-      this.emit('input', normalized);
+      this._emitInput(deviceId, normalized);
+    });
+
+    // System Exclusive messages (handshake replies, identity, device-specific data)
+    input.on('sysex', (msg) => {
+      logger.info('[MIDI IN] SysEx', {
+        deviceId,
+        bytes: formatSysEx(msg.bytes)
+      });
+      const normalized = this._normalizeMIDIMessage(deviceId, 'sysex', msg);
+      this.emit('sysex', normalized);
     });
   }
 
+  /**
+   * Emit a normalized input event, unless the device has no mapping yet
+   * @private
+   */
+  _emitInput(deviceId, message) {
+    if (!this.devices.get(deviceId)?.config) {
+      return;
+    }
+
+    this.emit('input', message);
+  }
+
   /**
    * Normalize MIDI message to common format
    * @private
@@ -284,6 +571,11 @@ export class MIDIManager extends EventEmitter {
       case 'program':
         normalized.program = rawMessage.number;
         break;
+
+      case 'sysex':
+        normalized.bytes = Array.from(rawMessage.bytes);
+        Object.assign(normalized, decodeSysEx(normalized.bytes));
+        break;
     }
 
     return normalized;
@@ -299,10 +591,35 @@ export class MIDIManager extends EventEmitter {
       name: device.name,
       hasInput: !!device.input,
       hasOutput: !!device.output,
+      identity: device.identity || null,
       config: device.config
     }));
   }
 
+  /**
+   * Replace a connected device's mapping (after a mapping reload)
+   * @param {string} deviceId - Device ID
+   * @param {object} config - Device configuration (mapping)
+   * @returns {boolean} True if the device is connected
+   */
+  updateDeviceConfig(deviceId, config) {
+    const device = this.devices.get(deviceId);
+
+    if (!device) {
+      return false;
+    }
+
+    device.config = config;
+
+    // Re-read the 14-bit pairs and NRPN/RPN parameters on the next CC
+    this.highResPairers.get(deviceId)?.dispose();
+    this.highResPairers.delete(deviceId);
+    this.parameterState.get(deviceId)?.dispose();
+    this.parameterState.delete(deviceId);
+
+    return true;
+  }
+
   /**
    * Disconnect all devices
    */
@@ -317,79 +634,64 @@ export class MIDIManager extends EventEmitter {
   }
 
   /**
-   * Handle 14-bit CC messages (MSB + LSB pairing)
+   * Feed a CC to the device's NRPN/RPN assembler (channels with parameters the mapping declares)
+   * Parameter events are emitted by the assembler, possibly after a timeout.
    * @private
    * @param {string} deviceId - Device ID
    * @param {object} ccMessage - Normalized CC message
-   * @returns {object|null} Combined 14-bit message or null if not ready
+   * @returns {boolean} True if the CC belongs to a parameter message
    */
-  _handle14BitCC(deviceId, ccMessage) {
-    if (ccMessage.type !== 'cc') {
-      return null;
-    }
+  _handleParameterCC(deviceId, ccMessage) {
+    const device = this.devices.get(deviceId);
 
-    const controller = ccMessage.controller;
-    const value = ccMessage.value;
-    const channel = ccMessage.channel;
+    // Until a mapping is selected, parameter CCs are plain CCs
+    if (!device?.config?.mappings) {
+      return false;
+    }
 
-    // Initialize device state if needed
-    if (!this.highResCCState.has(deviceId)) {
-      this.highResCCState.set(deviceId, new Map());
+    if (!this.parameterState.has(deviceId)) {
+      this.parameterState.set(deviceId, new ParameterAssembler(device.config.mappings, {
+        timeout: this.parameterTimeout,
+        emit: (event) => {
+          logger.info(`[MIDI IN] ${event.type.toUpperCase()}`, {
+            deviceId,
+            channel: event.channel,
+            parameter: event.parameter,
+            value: event.value,
+            highRes: event.highRes
+          });
+          this._emitInput(deviceId, event);
+        }
+      }));
     }
 
-    const deviceState = this.highResCCState.get(deviceId);
-
-    // Check if this is an LSB (controllers 32-63 are LSBs for 0-31)
-    const isLSB = controller >= 32 && controller < 64;
-    const msbController = isLSB ? controller - 32 : controller;
-    const lsbController = msbController + 32;
-
-    if (isLSB) {
-      // This is an LSB - check if we have a recent MSB
-      const key = `${channel}:${msbController}`;
-      const msbData = deviceState.get(key);
-
-      if (msbData && (Date.now() - msbData.timestamp < this.highResCCTimeout)) {
-        // We have a matching MSB! Combine them
-        const combinedValue = (msbData.value * 128) + value;
-
-        // Clear the MSB from state
-        deviceState.delete(key);
-
-        // Return combined 14-bit message
-        return {
-          ...ccMessage,
-          controller: msbController, // Use MSB controller number
-          value: combinedValue,
-          value14bit: combinedValue,
-          maxValue: 16383,
-          normalized: combinedValue / 16383,
-          highRes: true,
-          lsbController: lsbController,
-          msb: msbData.value,
-          lsb: value
-        };
-      }
-    } else if (controller < 32) {
-      // This might be an MSB - store it and wait for LSB
-      const key = `${channel}:${controller}`;
-      deviceState.set(key, {
-        value: value,
-        timestamp: Date.now(),
-        channel: channel
-      });
+    return this.parameterState.get(deviceId).process(ccMessage);
+  }
 
-      // Clean up old entries (older than timeout)
-      const now = Date.now();
-      for (const [k, v] of deviceState.entries()) {
-        if (now - v.timestamp > this.highResCCTimeout) {
-          deviceState.delete(k);
-        }
-      }
+  /**
+   * Handle 14-bit CC messages (MSB + LSB pairing of the pairs the mapping declares)
+   * Combined messages are emitted by the device's pairer, possibly after a timeout.
+   * @private
+   * @param {string} deviceId - Device ID
+   * @param {object} ccMessage - Normalized CC message
+   * @returns {boolean} True if the CC is half of a declared pair
+   */
+  _handle14BitCC(deviceId, ccMessage) {
+    const device = this.devices.get(deviceId);
+
+    // Until a mapping is selected, every CC is 7-bit
+    if (!device?.config?.mappings) {
+      return false;
+    }
+
+    if (!this.highResPairers.has(deviceId)) {
+      this.highResPairers.set(deviceId, new HighResCCPairer(device.config.mappings, {
+        timeout: this.highResCCTimeout,
+        emit: (message) => this._emitInput(deviceId, message)
+      }));
     }
 
-    // Not a 14-bit pair (yet) - return null to use as regular 7-bit
-    return null;
+    return this.highResPairers.get(deviceId).process(ccMessage);
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * 14-bit Control Change pairing
+ *
+ * High-resolution faders send each position as two CCs: an MSB (coarse) and an LSB
+ * (fine). Only pairs declared by the device mapping are combined:
+ *   "midi": { "type": "cc", "channel": 0, "controller": 19, "highRes": true, "lsb": 51, "order": "msbFirst" }
+ *
+ * "lsb" defaults to controller + 32 (the MIDI spec pairing of CC 0-31 with CC 32-63)
+ * and must be given for other controllers. "order" is the order the controller sends
+ * the halves in: "msbFirst" (default) or "lsbFirst". All other CCs, including 32-63,
+ * are plain 7-bit controls.
+ *
+ * A pair is emitted once, as one 14-bit event, when its second half arrives; the
+ * first half alone is never emitted. As in the MIDI spec, an MSB resets the LSB: a
+ * first half whose partner doesn't arrive within the timeout is emitted with LSB 0
+ * (MSB-first) or with the last MSB (LSB-first). An LSB sent on its own by an MSB-first
+ * controller is a fine adjustment and is emitted with the last MSB.
+ */
+
+export const HIGH_RES_ORDERS = ['msbFirst', 'lsbFirst'];
+
+const MAX_VALUE = 0x3FFF;
+
+/**
+ * Collect the 14-bit pairs declared by a mapping's CC controls
+ * @param {object} mappings - Mapping entries (mapping.mappings)
+ * @returns {Map<string, object>} "channel:controller" of both halves -> { channel, msb, lsb, order }
+ * @throws {Error} If a declaration is invalid or conflicts with another control
+ */
+export function getHighResPairs(mappings) {
+  const pairs = new Map();
+  const plainControls = [];
+
+  for (const [key, map] of Object.entries(mappings || {})) {
+    const midi = map?.midi;
+
+    if (key.startsWith('_') || midi?.type !== 'cc') continue;
+
+    if (!midi.highRes) {
+      if (midi.lsb !== undefined || midi.order !== undefined) {
+        throw new Error(`Mapping "${key}" declares "lsb"/"order" without "highRes": true`);
+      }
+
+      plainControls.push([key, midi]);
+      continue;
+    }
+
+    const pair = parsePair(key, midi);
+    const msbKey = `${pair.channel}:${pair.msb}`;
+    const lsbKey = `${pair.channel}:${pair.lsb}`;
+    const existing = pairs.get(msbKey);
+
+    // Layered mappings share an address; they must agree on the pairing
+    if (existing && existing.msb === pair.msb && existing.lsb === pair.lsb && existing.order === pair.order) {
+      continue;
+    }
+
+    if (existing || pairs.has(lsbKey)) {
+      throw new Error(`Mapping "${key}" declares 14-bit CC ${pair.msb}/${pair.lsb} on channel ${pair.channel}, which conflicts with another 14-bit control`);
+    }
+
+    pairs.set(msbKey, pair);
+    pairs.set(lsbKey, pair);
+  }
+
+  // An LSB is consumed by its pair, so a 7-bit mapping on it would never fire
+  for (const [key, midi] of plainControls) {
+    const pair = pairs.get(`${midi.channel}:${midi.controller}`);
+
+    if (pair && pair.lsb === midi.controller) {
+      throw new Error(`Mapping "${key}" uses CC ${midi.controller} on channel ${midi.channel}, the LSB of 14-bit CC ${pair.msb}`);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * @private
+ */
+function parsePair(key, midi) {
+  const { channel, controller } = midi;
+  const lsb = midi.lsb ?? (controller < 32 ? controller + 32 : undefined);
+  const order = midi.order ?? 'msbFirst';
+
+  if (!Number.isInteger(controller) || controller < 0 || controller > 127) {
+    throw new Error(`Mapping "${key}" 14-bit "controller" must be a number from 0 to 127`);
+  }
+
+  if (!Number.isInteger(lsb) || lsb < 0 || lsb > 127 || lsb === controller) {
+    throw new Error(`Mapping "${key}" 14-bit CC ${controller} needs "lsb" (another controller, 0-127)`);
+  }
+
+  if (!HIGH_RES_ORDERS.includes(order)) {
+    throw new Error(`Mapping "${key}" has invalid "order" (expected ${HIGH_RES_ORDERS.join(' or ')})`);
+  }
+
+  return { channel, msb: controller, lsb, order };
+}
+
+/**
+ * Combines one device's declared MSB/LSB CC pairs into 14-bit events
+ */
+export class HighResCCPairer {
+  /**
+   * @param {object} mappings - Mapping entries (mapping.mappings)
+   * @param {object} options
+   * @param {number} options.timeout - ms to wait for the second half of a pair
+   * @param {function(object): void} options.emit - Receives combined 14-bit CC events
+   */
+  constructor(mappings, { timeout, emit }) {
+    this.pairs = getHighResPairs(mappings);
+    this.timeout = timeout;
+    this.emit = emit;
+
+    // "channel:msb" -> { msb, lsb, pending, timer, message }
+    this.state = new Map();
+  }
+
+  /**
+   * Feed a Control Change
+   * @param {object} cc - Normalized CC message
+   * @returns {boolean} True if the CC is half of a declared pair (don't emit it as a 7-bit CC)
+   */
+  process(cc) {
+    const pair = this.pairs.get(`${cc.channel}:${cc.controller}`);
+
+    if (!pair) {
+      return false;
+    }
+
+    const key = `${pair.channel}:${pair.msb}`;
+    let state = this.state.get(key);
+
+    if (!state) {
+      state = { msb: null, lsb: 0, pending: null, timer: null, message: null };
+      this.state.set(key, state);
+    }
+
+    const half = cc.controller === pair.msb ? 'msb' : 'lsb';
+    const first = pair.order === 'msbFirst' ? 'msb' : 'lsb';
+
+    if (half === first) {
+      // A first half still waiting for its partner is complete on its own
+      if (state.pending) {
+        this._flush(pair, state);
+      }
+
+      if (half === 'msb') {
+        state.msb = cc.value;
+        state.lsb = 0;
+      } else {
+        state.lsb = cc.value;
+      }
+
+      state.pending = half;
+      state.message = cc;
+      state.timer = setTimeout(() => this._flush(pair, state), this.timeout);
+      return true;
+    }
+
+    // Second half: completes the pending first half, or adjusts the last value
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (half === 'msb') {
+      state.msb = cc.value;
+
+      if (!state.pending) {
+        state.lsb = 0;
+      }
+    } else {
+      state.lsb = cc.value;
+    }
+
+    state.pending = null;
+    state.message = cc;
+
+    if (state.msb !== null) {
+      this.emit(this._buildEvent(pair, state));
+    }
+
+    return true;
+  }
+
+  /**
+   * Cancel pending halves
+   */
+  dispose() {
+    for (const state of this.state.values()) {
+      clearTimeout(state.timer);
+    }
+
+    this.state.clear();
+  }
+
+  /**
+   * Emit a first half whose partner didn't arrive
+   * @private
+   */
+  _flush(pair, state) {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pending = null;
+
+    if (state.msb !== null) {
+      this.emit(this._buildEvent(pair, state));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _buildEvent(pair, state) {
+    const value = (state.msb << 7) + state.lsb;
+
+    return {
+      ...state.message,
+      controller: pair.msb,
+      value,
+      value14bit: value,
+      maxValue: MAX_VALUE,
+      normalized: value / MAX_VALUE,
+      highRes: true,
+      lsbController: pair.lsb,
+      msb: state.msb,
+      lsb: state.lsb
+    };
+  }
+}
+
+export default { getHighResPairs, HighResCCPairer };
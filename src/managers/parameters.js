@@ -0,0 +1,321 @@
+/**
+ * NRPN and RPN parameter messages (Non-Registered / Registered Parameter Numbers)
+ *
+ * A parameter message is a run of Control Changes on one channel:
+ *   CC 99 / 98   NRPN parameter number MSB / LSB
+ *   CC 101 / 100 RPN parameter number MSB / LSB (127 / 127 = "null", deselects)
+ *   CC 6 / 38    Data Entry MSB / LSB
+ *
+ * Mappings address parameters with { "type": "nrpn" | "rpn", "channel": 0, "parameter": 1234 },
+ * plus "highRes": true for parameters sent as 14-bit values (Data Entry MSB + LSB).
+ * Only channels with such mappings are assembled; there the six CCs above belong to
+ * parameter messages and can't be mapped as plain CCs. On all other channels they
+ * stay ordinary CCs.
+ *
+ * The selected parameter stays selected until another one (or RPN null) is sent, so
+ * a knob may send the parameter number once and then only data entries. Events:
+ *   { type: 'nrpn', channel: 0, parameter: 1234, value: 8192, normalized: 0.5, highRes: true }
+ *
+ * - 7-bit parameters emit on Data Entry MSB (value 0-127, normalized MSB / 127)
+ * - highRes parameters emit once the LSB is in (value 0-16383, normalized value / 16383).
+ *   An MSB whose LSB doesn't arrive within the timeout is emitted with LSB 0, and an
+ *   LSB on its own is a fine adjustment of the last MSB.
+ */
+
+export const PARAMETER_TYPES = ['nrpn', 'rpn'];
+
+export const PARAMETER_CC = {
+  nrpnMsb: 99,
+  nrpnLsb: 98,
+  rpnMsb: 101,
+  rpnLsb: 100,
+  dataMsb: 6,
+  dataLsb: 38
+};
+
+const PARAMETER_CONTROLLERS = new Set(Object.values(PARAMETER_CC));
+
+const MAX_PARAMETER = 0x3FFF;
+const MAX_VALUE = 0x3FFF;
+const RPN_NULL = 0x7F;
+
+/**
+ * Check whether a MIDI message type is a parameter message
+ * @param {string} type - MIDI message type
+ * @returns {boolean}
+ */
+export function isParameterType(type) {
+  return PARAMETER_TYPES.includes(type);
+}
+
+/**
+ * Validate a mapping's NRPN/RPN address
+ * @param {object} midi - { type, channel, parameter }
+ * @throws {Error} If the parameter number is missing or out of range
+ */
+export function validateParameterAddress(midi) {
+  if (!Number.isInteger(midi.parameter) || midi.parameter < 0 || midi.parameter > MAX_PARAMETER) {
+    throw new Error(`${midi.type.toUpperCase()} "parameter" must be a number from 0 to ${MAX_PARAMETER}`);
+  }
+
+  if (!Number.isInteger(midi.channel) || midi.channel < 0 || midi.channel > 15) {
+    throw new Error(`${midi.type.toUpperCase()} "channel" must be a number from 0 to 15`);
+  }
+}
+
+/**
+ * Collect the NRPN/RPN parameters a mapping's controls declare
+ * @param {object} mappings - Mapping entries (mapping.mappings)
+ * @returns {object} { channels: Set<number>, parameters: Map<"type:channel:parameter", { highRes }> }
+ * @throws {Error} If an address is invalid, layered mappings disagree on "highRes",
+ *   or a plain CC uses one of the parameter CCs on a parameter channel
+ */
+export function getDeclaredParameters(mappings) {
+  const channels = new Set();
+  const parameters = new Map();
+  const plainControls = [];
+
+  for (const [key, map] of Object.entries(mappings || {})) {
+    const midi = map?.midi;
+
+    if (key.startsWith('_') || !midi) continue;
+
+    if (midi.type === 'cc') {
+      plainControls.push([key, midi]);
+      continue;
+    }
+
+    if (!isParameterType(midi.type)) continue;
+
+    try {
+      validateParameterAddress(midi);
+    } catch (error) {
+      throw new Error(`Mapping "${key}" has invalid "midi": ${error.message}`);
+    }
+
+    const address = `${midi.type}:${midi.channel}:${midi.parameter}`;
+    const highRes = midi.highRes === true;
+
+    // Layered mappings share an address; they must agree on the resolution
+    if (parameters.has(address) && parameters.get(address).highRes !== highRes) {
+      throw new Error(`Mapping "${key}" declares ${midi.type.toUpperCase()} ${midi.parameter} on channel ${midi.channel} with a different "highRes" than another mapping`);
+    }
+
+    channels.add(midi.channel);
+    parameters.set(address, { highRes });
+  }
+
+  for (const [key, midi] of plainControls) {
+    if (channels.has(midi.channel) && PARAMETER_CONTROLLERS.has(midi.controller)) {
+      throw new Error(`Mapping "${key}" uses CC ${midi.controller} on channel ${midi.channel}, which carries NRPN/RPN messages on that channel`);
+    }
+  }
+
+  return { channels, parameters };
+}
+
+/**
+ * Encode a parameter message as the Control Changes that send it
+ * @param {object} message - { type: 'nrpn' | 'rpn', channel, parameter, value, highRes }
+ *   value is 14-bit (0-16383) with highRes, else 7-bit (Data Entry MSB only)
+ * @returns {Array<object>} CC messages { channel, controller, value }
+ */
+export function encodeParameter(message) {
+  const { channel, parameter } = message;
+  const [msbController, lsbController] = message.type === 'rpn'
+    ? [PARAMETER_CC.rpnMsb, PARAMETER_CC.rpnLsb]
+    : [PARAMETER_CC.nrpnMsb, PARAMETER_CC.nrpnLsb];
+
+  const messages = [
+    { channel, controller: msbController, value: parameter >> 7 },
+    { channel, controller: lsbController, value: parameter & 0x7F }
+  ];
+
+  if (message.highRes) {
+    const value = Math.max(0, Math.min(MAX_VALUE, Math.round(message.value)));
+    messages.push(
+      { channel, controller: PARAMETER_CC.dataMsb, value: value >> 7 },
+      { channel, controller: PARAMETER_CC.dataLsb, value: value & 0x7F }
+    );
+  } else {
+    messages.push({ channel, controller: PARAMETER_CC.dataMsb, value: Math.max(0, Math.min(0x7F, Math.round(message.value))) });
+  }
+
+  return messages;
+}
+
+/**
+ * Assembles NRPN/RPN events from one device's Control Changes
+ */
+export class ParameterAssembler {
+  /**
+   * @param {object} mappings - Mapping entries (mapping.mappings)
+   * @param {object} options
+   * @param {number} options.timeout - ms to wait for the Data Entry LSB of a highRes parameter
+   * @param {function(object): void} options.emit - Receives nrpn/rpn events
+   */
+  constructor(mappings, { timeout, emit }) {
+    const { channels, parameters } = getDeclaredParameters(mappings);
+
+    this.declaredChannels = channels;
+    this.parameters = parameters;
+    this.timeout = timeout;
+    this.emit = emit;
+
+    // channel -> { channel, type, msb, lsb, dataMsb, dataLsb, pending, timer, message }
+    this.channels = new Map();
+  }
+
+  /**
+   * Feed a Control Change
+   * @param {object} cc - Normalized CC message { channel, controller, value, ... }
+   * @returns {boolean} True if the CC is part of a parameter message (don't treat it as a plain CC)
+   */
+  process(cc) {
+    const { channel, controller, value } = cc;
+
+    if (!this.declaredChannels.has(channel) || !PARAMETER_CONTROLLERS.has(controller)) {
+      return false;
+    }
+
+    if (controller !== PARAMETER_CC.dataMsb && controller !== PARAMETER_CC.dataLsb) {
+      this._select(channel, controller, value);
+      return true;
+    }
+
+    const state = this.channels.get(channel);
+
+    // Data entry with no parameter selected carries nothing
+    if (!this._isSelected(state)) {
+      return true;
+    }
+
+    const highRes = this._isHighRes(state);
+
+    if (controller === PARAMETER_CC.dataMsb) {
+      this._flush(state);
+      state.dataMsb = value;
+      state.dataLsb = 0;
+      state.message = cc;
+
+      if (!highRes) {
+        this._emitEvent(state, false);
+        return true;
+      }
+
+      // Wait for the LSB
+      state.pending = true;
+      state.timer = setTimeout(() => this._flush(state), this.timeout);
+      return true;
+    }
+
+    // Data Entry LSB: completes a pending MSB, or fine-adjusts the last one
+    if (!highRes || state.dataMsb === null) {
+      return true;
+    }
+
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pending = false;
+    state.dataLsb = value;
+    state.message = cc;
+    this._emitEvent(state, true);
+
+    return true;
+  }
+
+  /**
+   * Cancel pending values and forget all selected parameters
+   */
+  dispose() {
+    for (const state of this.channels.values()) {
+      clearTimeout(state.timer);
+    }
+
+    this.channels.clear();
+  }
+
+  /**
+   * Apply a parameter number CC
+   * @private
+   */
+  _select(channel, controller, value) {
+    const type = controller === PARAMETER_CC.rpnMsb || controller === PARAMETER_CC.rpnLsb ? 'rpn' : 'nrpn';
+    const isMsb = controller === PARAMETER_CC.nrpnMsb || controller === PARAMETER_CC.rpnMsb;
+    let state = this.channels.get(channel);
+
+    if (state) {
+      // A value still waiting for its LSB belongs to the previous parameter
+      this._flush(state);
+    }
+
+    // Switching between NRPN and RPN starts a new parameter number
+    if (!state || state.type !== type) {
+      state = { channel, type, msb: null, lsb: null, dataMsb: null, dataLsb: 0, pending: false, timer: null, message: null };
+      this.channels.set(channel, state);
+    }
+
+    state[isMsb ? 'msb' : 'lsb'] = value;
+    state.dataMsb = null;
+
+    if (type === 'rpn' && state.msb === RPN_NULL && state.lsb === RPN_NULL) {
+      this.channels.delete(channel);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isSelected(state) {
+    return Boolean(state) && state.msb !== null && state.lsb !== null;
+  }
+
+  /**
+   * @private
+   */
+  _isHighRes(state) {
+    const parameter = (state.msb << 7) + state.lsb;
+    return this.parameters.get(`${state.type}:${state.channel}:${parameter}`)?.highRes === true;
+  }
+
+  /**
+   * Emit an MSB whose LSB didn't arrive
+   * @private
+   */
+  _flush(state) {
+    if (!state.pending) {
+      return;
+    }
+
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pending = false;
+    this._emitEvent(state, true);
+  }
+
+  /**
+   * @private
+   */
+  _emitEvent(state, highRes) {
+    const cc = state.message;
+    const value = highRes ? (state.dataMsb << 7) + state.dataLsb : state.dataMsb;
+    const maxValue = highRes ? MAX_VALUE : 0x7F;
+
+    this.emit({
+      deviceId: cc.deviceId,
+      type: state.type,
+      channel: cc.channel,
+      parameter: (state.msb << 7) + state.lsb,
+      value,
+      maxValue,
+      normalized: value / maxValue,
+      highRes,
+      msb: state.dataMsb,
+      lsb: highRes ? state.dataLsb : null,
+      timestamp: cc.timestamp,
+      rawMessage: cc.rawMessage
+    });
+  }
+}
+
+export default { isParameterType, validateParameterAddress, getDeclaredParameters, encodeParameter, ParameterAssembler };
@@ -0,0 +1,164 @@
+/**
+ * MIDI System Exclusive (SysEx) messages
+ *
+ * Mappings write SysEx messages as hex strings or byte arrays, framed by F0 ... F7:
+ *   "F0 00 40 05 00 00 02 06 00 03 01 F7"
+ *   [240, 0, 64, 5, 0, 0, 2, 6, 0, 3, 1, 247]
+ *
+ * A mapping's top-level "sysex" section lists sequences sent by MIDIManager when the
+ * device connects ("init") and before it disconnects ("shutdown"). A sequence entry
+ * is either a message or a pause ({ "delay": ms }) for controllers that need time
+ * between handshake steps:
+ *   "sysex": {
+ *     "init": ["F0 7E 7F 06 01 F7", { "delay": 50 }, "F0 00 20 29 02 0E 0E 01 F7"],
+ *     "shutdown": ["F0 00 20 29 02 0E 0E 00 F7"]
+ *   }
+ */
+
+export const SYSEX_START = 0xF0;
+export const SYSEX_END = 0xF7;
+
+export const SYSEX_SEQUENCES = ['init', 'shutdown'];
+
+// Universal Identity Request, addressed to all devices (7F)
+export const IDENTITY_REQUEST = [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7];
+
+// Universal (non-manufacturer) SysEx IDs
+const UNIVERSAL_IDS = new Set([0x7E, 0x7F]);
+
+/**
+ * Parse a SysEx message written as a hex string or byte array
+ * @param {string|Array<number>} message - e.g., "F0 7E 7F 06 01 F7"
+ * @returns {Array<number>} Message bytes (F0 ... F7)
+ * @throws {Error} If the message is not a framed SysEx message with 7-bit data bytes
+ */
+export function parseSysEx(message) {
+  let bytes = message;
+
+  if (typeof message === 'string') {
+    const hex = message.replace(/0x/gi, '').replace(/[\s,]+/g, '');
+
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) {
+      throw new Error(`SysEx "${message}" must be hex bytes (e.g., "F0 7E 7F 06 01 F7")`);
+    }
+
+    bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+  }
+
+  if (!Array.isArray(bytes) || !bytes.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 0xFF)) {
+    throw new Error('SysEx must be a hex string or an array of bytes (0-255)');
+  }
+
+  if (bytes.length < 3 || bytes[0] !== SYSEX_START || bytes[bytes.length - 1] !== SYSEX_END) {
+    throw new Error(`SysEx must start with F0 and end with F7 (got ${formatSysEx(bytes)})`);
+  }
+
+  if (bytes.slice(1, -1).some(byte => byte > 0x7F)) {
+    throw new Error(`SysEx data bytes must be 00-7F (got ${formatSysEx(bytes)})`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Split a received SysEx message into its manufacturer ID and data
+ * @param {Array<number>} bytes - Message bytes (F0 ... F7)
+ * @returns {object} { manufacturerId, universal, data }
+ */
+export function decodeSysEx(bytes) {
+  // Three-byte manufacturer IDs start with 00
+  const idLength = bytes[1] === 0x00 ? 3 : 1;
+
+  return {
+    manufacturerId: bytes.slice(1, 1 + idLength),
+    universal: UNIVERSAL_IDS.has(bytes[1]),
+    data: bytes.slice(1 + idLength, -1)
+  };
+}
+
+/**
+ * Parse a Universal Identity Reply (F0 7E <device> 06 02 <manufacturer> <family> <model> <version> F7)
+ * @param {Array<number>} bytes - Message bytes
+ * @returns {object|null} { manufacturer, manufacturerId, family, model, version }, or null for other messages
+ */
+export function parseIdentityReply(bytes) {
+  if (bytes?.[1] !== 0x7E || bytes[3] !== 0x06 || bytes[4] !== 0x02) {
+    return null;
+  }
+
+  const idLength = bytes[5] === 0x00 ? 3 : 1;
+  const manufacturerId = bytes.slice(5, 5 + idLength);
+  const rest = bytes.slice(5 + idLength, -1);
+
+  if (rest.length < 4) {
+    return null;
+  }
+
+  return {
+    manufacturer: formatSysEx(manufacturerId),
+    manufacturerId,
+    // Family and model are sent LSB first
+    family: rest[0] + (rest[1] << 7),
+    model: rest[2] + (rest[3] << 7),
+    version: rest.slice(4)
+  };
+}
+
+/**
+ * Format bytes as hex for logs
+ * @param {Array<number>} bytes - Message bytes
+ * @returns {string} e.g., "F0 7E 7F 06 01 F7"
+ */
+export function formatSysEx(bytes) {
+  return Array.from(bytes || [], byte => Number(byte).toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+/**
+ * Parse a mapping's "sysex" section
+ * @param {object|undefined} sysex - { init, shutdown }
+ * @returns {object} Sequence name -> list of { bytes } or { delay }
+ * @throws {Error} If a sequence or one of its entries is invalid
+ */
+export function parseSysExSequences(sysex) {
+  const sequences = {};
+
+  if (sysex === undefined) {
+    return sequences;
+  }
+
+  if (!sysex || typeof sysex !== 'object') {
+    throw new Error('"sysex" must be an object ({ "init": [...], "shutdown": [...] })');
+  }
+
+  for (const [name, entries] of Object.entries(sysex)) {
+    if (name.startsWith('_')) continue;
+
+    if (!SYSEX_SEQUENCES.includes(name)) {
+      throw new Error(`Unknown SysEx sequence "${name}" (expected ${SYSEX_SEQUENCES.join(', ')})`);
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`SysEx sequence "${name}" must be a list of messages`);
+    }
+
+    sequences[name] = entries.map((entry, index) => {
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        if (!(typeof entry.delay === 'number' && entry.delay >= 0)) {
+          throw new Error(`SysEx sequence "${name}" entry ${index} must be a message or { "delay": ms }`);
+        }
+
+        return { delay: entry.delay };
+      }
+
+      try {
+        return { bytes: parseSysEx(entry) };
+      } catch (error) {
+        throw new Error(`SysEx sequence "${name}" entry ${index}: ${error.message}`);
+      }
+    });
+  }
+
+  return sequences;
+}
+
+export default { parseSysEx, decodeSysEx, parseIdentityReply, formatSysEx, parseSysExSequences };
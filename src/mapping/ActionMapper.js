@@ -1,19 +1,35 @@
 import { loadDeviceMapping, validateDeviceMapping } from '../utils/config.js';
 import { MIDITranslator } from '../translators/MIDITranslator.js';
 import { HIDTranslator } from '../translators/HIDTranslator.js';
+import { rankMappings } from './deviceMatching.js';
 import { logger } from '../utils/logger.js';
+import { EventEmitter } from 'events';
+import { watch } from 'fs';
 import fs from 'fs/promises';
 import path from 'path';
 
 /**
  * Loads device mappings from config files
  * Provides lookup for MIDI/HID -> Action translation
+ *
+ * Events:
+ * - 'mapping:reloaded' { deviceName, deviceIds, mapping, previous } - mapping file reloaded, translators swapped
+ * - 'action' (action) - action produced outside translate() (long press, hold-repeat gestures)
  */
-export class ActionMapper {
+export class ActionMapper extends EventEmitter {
   constructor(configPath) {
+    super();
     this.configPath = configPath;
     this.translators = new Map(); // deviceId -> translator
     this.deviceMappings = new Map(); // deviceName -> mapping config
+
+    // Engine state cache getter handed to translators (soft takeover)
+    this.stateSource = null;
+
+    // Filesystem watching for hot-reload
+    this.watcher = null;
+    this.reloadTimers = new Map(); // deviceName -> debounce timer
+    this.reloadDebounce = 200; // ms - editors often write a file in several steps
   }
 
   /**
@@ -84,16 +100,17 @@ export class ActionMapper {
    * Get or create translator for a device
    * @param {string} deviceId - Device ID
    * @param {string} deviceName - Device name (for loading mapping)
+   * @param {object|null} selected - Mapping chosen when the device connected (see findMatchingMapping)
    * @returns {Promise<MIDITranslator>} Translator instance
    */
-  async getTranslator(deviceId, deviceName) {
+  async getTranslator(deviceId, deviceName, selected = null) {
     // Check if translator already exists
     if (this.translators.has(deviceId)) {
       return this.translators.get(deviceId);
     }
 
-    // Try to find matching mapping from already-loaded mappings
-    let mapping = this.findMatchingMapping(deviceName);
+    // Use the connect-time selection, else find a match among the loaded mappings
+    let mapping = selected || this.findMatchingMapping(deviceName);
 
     if (!mapping) {
       // If no match found, try to load mapping file directly
@@ -112,15 +129,7 @@ export class ActionMapper {
     }
 
     // Create translator based on protocol
-    let translator;
-
-    if (mapping.device.protocol === 'midi') {
-      translator = new MIDITranslator(mapping);
-    } else if (mapping.device.protocol === 'hid') {
-      translator = new HIDTranslator(mapping);
-    } else {
-      throw new Error(`Unknown protocol: ${mapping.device.protocol}`);
-    }
+    const translator = this._createTranslator(mapping);
 
     // Cache translator
     this.translators.set(deviceId, translator);
@@ -136,49 +145,166 @@ export class ActionMapper {
    */
   removeTranslator(deviceId) {
     if (this.translators.has(deviceId)) {
+      this.translators.get(deviceId).dispose();
       this.translators.delete(deviceId);
       logger.debug(`Removed translator for ${deviceId}`);
     }
   }
 
+  /**
+   * Set where translators read engine state from (soft takeover)
+   * @param {function(): object} getState - Returns FeedbackManager's state cache
+   */
+  setStateSource(getState) {
+    this.stateSource = getState;
+
+    for (const translator of this.translators.values()) {
+      translator.getEngineState = getState;
+    }
+  }
+
+  /**
+   * Create translator for a mapping based on protocol
+   * @private
+   */
+  _createTranslator(mapping) {
+    const options = {
+      getState: this.stateSource,
+      onAction: (action) => this.emit('action', action)
+    };
+
+    if (mapping.device.protocol === 'midi') {
+      return new MIDITranslator(mapping, options);
+    } else if (mapping.device.protocol === 'hid') {
+      return new HIDTranslator(mapping, options);
+    }
+
+    throw new Error(`Unknown protocol: ${mapping.device.protocol}`);
+  }
+
   /**
    * Reload a specific mapping configuration
-   * @param {string} deviceName - Device name
-   * @returns {Promise<void>}
+   * The new mapping and its translators are fully built before anything is swapped,
+   * so an invalid edit leaves the last good mapping in place.
+   * @param {string} deviceName - Device name (mapping file name without .json)
+   * @returns {Promise<boolean>} True if the mapping was reloaded
    */
   async reloadMapping(deviceName) {
     logger.info(`Reloading mapping for ${deviceName}`);
 
-    // Clear cached mapping
-    this.deviceMappings.delete(deviceName);
+    const previous = this.deviceMappings.get(deviceName);
 
-    // Find all translators using this mapping
-    const devicesToUpdate = [];
+    let mapping;
+    const replacements = [];
 
-    for (const [deviceId, translator] of this.translators.entries()) {
-      if (translator.getDeviceName() === deviceName) {
-        devicesToUpdate.push(deviceId);
+    try {
+      mapping = await loadDeviceMapping(deviceName);
+      validateDeviceMapping(mapping);
+
+      // Build replacement translators for all devices using the previous mapping
+      for (const [deviceId, translator] of this.translators.entries()) {
+        if (previous && translator.getMapping() === previous) {
+          replacements.push([deviceId, this._createTranslator(mapping)]);
+        }
       }
+    } catch (error) {
+      logger.warn(`Rejected mapping reload for ${deviceName}, keeping last good mapping`, {
+        error: error.message
+      });
+      return false;
     }
 
-    // Load new mapping
-    const mapping = await this.loadMapping(deviceName);
+    // Swap mapping and translators together
+    this.deviceMappings.set(deviceName, mapping);
 
-    // Update translators
-    for (const deviceId of devicesToUpdate) {
-      this.translators.delete(deviceId);
+    for (const [deviceId, translator] of replacements) {
+      this.translators.get(deviceId).dispose();
+      this.translators.set(deviceId, translator);
+      logger.info(`Updated translator for ${deviceId} with new mapping`);
+    }
 
-      // Create translator based on protocol
-      const newTranslator = mapping.device.protocol === 'midi'
-        ? new MIDITranslator(mapping)
-        : new HIDTranslator(mapping);
+    const deviceIds = replacements.map(([deviceId]) => deviceId);
 
-      this.translators.set(deviceId, newTranslator);
+    logger.info(`Reloaded mapping for ${deviceName}`, {
+      mappingCount: Object.keys(mapping.mappings).length,
+      devices: deviceIds
+    });
 
-      logger.info(`Updated translator for ${deviceId} with new mapping`);
+    this.emit('mapping:reloaded', { deviceName, deviceIds, mapping, previous });
+
+    return true;
+  }
+
+  /**
+   * Watch the mapping directory and reload mappings when their files change
+   */
+  watchMappings() {
+    if (this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = watch(this.configPath, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.json')) {
+          return;
+        }
+
+        this._scheduleReload(path.basename(filename, '.json'));
+      });
+
+      this.watcher.on('error', (error) => {
+        logger.error('Mapping watcher error', { error: error.message });
+      });
+
+      logger.info(`Watching ${this.configPath} for mapping changes`);
+    } catch (error) {
+      logger.warn('Failed to watch mapping directory, hot-reload disabled', {
+        configPath: this.configPath,
+        error: error.message
+      });
+      this.watcher = null;
     }
   }
 
+  /**
+   * Stop watching the mapping directory
+   */
+  unwatchMappings() {
+    for (const timer of this.reloadTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.reloadTimers.clear();
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+      logger.debug('Stopped watching mapping directory');
+    }
+  }
+
+  /**
+   * Debounce reloads of a mapping file
+   * @private
+   */
+  _scheduleReload(deviceName) {
+    clearTimeout(this.reloadTimers.get(deviceName));
+
+    this.reloadTimers.set(deviceName, setTimeout(async () => {
+      this.reloadTimers.delete(deviceName);
+
+      try {
+        await fs.access(path.join(this.configPath, `${deviceName}.json`));
+      } catch {
+        if (this.deviceMappings.has(deviceName)) {
+          logger.warn(`Mapping file for ${deviceName} was removed, keeping last loaded mapping`);
+        }
+        return;
+      }
+
+      await this.reloadMapping(deviceName);
+    }, this.reloadDebounce));
+  }
+
   /**
    * Reload all mappings
    * @returns {Promise<void>}
@@ -186,7 +312,11 @@ export class ActionMapper {
   async reloadAllMappings() {
     logger.info('Reloading all mappings');
 
-    // Clear all caches
+    // Clear all caches (stopping the old translators' gesture and jog timers)
+    for (const translator of this.translators.values()) {
+      translator.dispose();
+    }
+
     this.deviceMappings.clear();
     this.translators.clear();
 
@@ -212,12 +342,14 @@ export class ActionMapper {
 
   /**
    * Find best matching mapping for a device
+   * MIDI devices are matched by the mappings' "device.match" rules (see deviceMatching.js)
    * @param {string} deviceName - Device name
    * @param {string} vendor - Vendor ID (for HID)
    * @param {string} product - Product ID (for HID)
+   * @param {object|null} identity - MIDI identity reply ({ manufacturerId, family, model })
    * @returns {object|null} Matching mapping or null
    */
-  findMatchingMapping(deviceName, vendor = null, product = null) {
+  findMatchingMapping(deviceName, vendor = null, product = null, identity = null) {
     // First try exact name match
     if (this.deviceMappings.has(deviceName)) {
       return this.deviceMappings.get(deviceName);
@@ -235,19 +367,22 @@ export class ActionMapper {
       }
     }
 
-    // Try partial name match
-    const lowerDeviceName = deviceName.toLowerCase();
-
-    for (const [name, mapping] of this.deviceMappings.entries()) {
-      const lowerName = name.toLowerCase();
+    // Match rules, sorted by file name so ties never depend on load order
+    const entries = [...this.deviceMappings.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const [best, ...others] = rankMappings(entries, { name: deviceName, identity });
 
-      if (lowerDeviceName.includes(lowerName) || lowerName.includes(lowerDeviceName)) {
-        logger.info(`Found partial match for ${deviceName}: ${name}`);
-        return mapping;
-      }
+    if (!best) {
+      logger.info(`No mapping matches ${deviceName}`, { identity: identity?.manufacturer || null });
+      return null;
     }
 
-    return null;
+    logger.info(`Selected mapping ${best.file} for ${deviceName}`, {
+      rule: best.rule,
+      priority: best.priority,
+      candidates: others.map(match => `${match.file} (${match.rule}, priority ${match.priority})`)
+    });
+
+    return best.mapping;
   }
 }
 
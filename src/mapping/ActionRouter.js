@@ -1,28 +1,74 @@
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
+import { classifyAction, resolveOfflinePolicy } from './offlinePolicy.js';
+import { MacroRunner, MACRO_COMMAND, MACRO_CANCEL_COMMAND } from './macros.js';
 
 /**
  * Routes actions to Audio Engine (which forwards to App Server or Web UI as needed)
  * Handles priority queuing for time-critical actions
+ *
+ * Normal-priority actions from continuous controls are coalesced while queued,
+ * per (command, deck, control): absolute values are replaced by the latest one,
+ * relative deltas (encoders, nudge) are summed.
+ *
+ * Queues are drained on demand: route() wakes the drain loop, which runs until
+ * both queues are empty and then goes idle (no polling while the controller is untouched).
+ *
+ * While the Audio Engine is disconnected, actions are handled per offline policy
+ * (see offlinePolicy.js); remembered positions and buffered actions are re-sent on reconnect,
+ * once the engine's state snapshot has been fetched so the replay lands on top of it.
+ * A position sent live after reconnecting supersedes the remembered one.
+ *
+ * Macro actions (macro.run) are expanded into their steps, each routed on its own
+ * (see macros.js); macro.cancel stops the steps not yet sent.
  */
 export class ActionRouter extends EventEmitter {
-  constructor(wsClients) {
+  /**
+   * @param {object} wsClients - WebSocket clients ({ audio })
+   * @param {object} [options]
+   * @param {object} [options.offlinePolicy] - Action class -> 'drop' | 'snapshot' | 'buffer'
+   * @param {number} [options.maxOfflineBuffer] - Max actions kept by the 'buffer' policy
+   */
+  constructor(wsClients, options = {}) {
     super();
 
     // Single connection point - all actions route through Audio Engine
     this.audioClient = wsClients.audio;
 
+    // Offline handling
+    this.offlinePolicy = resolveOfflinePolicy(options.offlinePolicy);
+    this.offlineSnapshot = new Map(); // key -> latest absolute position action
+    this.offlineBuffer = [];
+    this.maxOfflineBuffer = options.maxOfflineBuffer ?? 100;
+
     this.criticalQueue = []; // Jog wheels - bypass queue, send immediately
     this.highQueue = []; // Transport controls
     this.normalQueue = []; // Everything else
 
-    this.isProcessing = false;
+    this.isDraining = false;
+    this.isPaused = false;
+    this.isShuttingDown = false;
+    this.drainPromise = null;
     this.maxQueueSize = 1000; // Prevent memory overflow
 
+    // Queued normal-priority actions by coalescing key
+    this.coalesceIndex = new Map(); // key -> queued action
+
+    // Running macros (quantized steps read the master clock)
+    this.macros = new MacroRunner({
+      route: step => this.route(step),
+      getClock: () => this.audioClient.request('clock.getState', {}, { timeout: 500 })
+    });
+
     // Stats
     this.stats = {
       totalActions: 0,
       droppedActions: 0,
+      coalescedActions: 0,
+      offlineDropped: 0,
+      offlineReplayed: 0,
+      macrosStarted: 0,
+      macrosCancelled: 0,
       actionsByPriority: {
         critical: 0,
         high: 0,
@@ -35,8 +81,16 @@ export class ActionRouter extends EventEmitter {
       }
     };
 
-    // Start processing queues
-    this._startProcessing();
+    // Bring the engine back in line with the controller after a (re)connect,
+    // after the snapshot so the state model is rebuilt before the replayed changes
+    const replay = () => {
+      this._replayOffline().catch(error => {
+        logger.error('Failed to replay offline actions', { error: error.message });
+      });
+    };
+
+    this.audioClient?.on?.('snapshot', replay);
+    this.audioClient?.on?.('snapshotFailed', replay);
   }
 
   /**
@@ -50,6 +104,24 @@ export class ActionRouter extends EventEmitter {
       return false;
     }
 
+    if (this.isShuttingDown) {
+      logger.warn('Action router shutting down, dropping action', { command: action.command });
+      return false;
+    }
+
+    // Macros route their steps themselves
+    if (action.command === MACRO_COMMAND) {
+      const started = this.macros.run(action);
+      this.stats.macrosStarted += started ? 1 : 0;
+      return started;
+    }
+
+    if (action.command === MACRO_CANCEL_COMMAND) {
+      const cancelled = this.macros.cancel(action);
+      this.stats.macrosCancelled += cancelled ? 1 : 0;
+      return cancelled;
+    }
+
     this.stats.totalActions++;
     this.stats.actionsByPriority[action.priority]++;
     this.stats.actionsByTarget[action.target]++;
@@ -62,6 +134,13 @@ export class ActionRouter extends EventEmitter {
     // Add to appropriate queue
     const queue = action.priority === 'high' ? this.highQueue : this.normalQueue;
 
+    // Merge into an already queued action for the same control
+    const coalesceKey = queue === this.normalQueue ? this._getCoalesceKey(action) : null;
+
+    if (coalesceKey && this._coalesce(coalesceKey, action)) {
+      return true;
+    }
+
     // Check queue size
     if (queue.length >= this.maxQueueSize) {
       logger.warn(`Queue overflow (${action.priority}), dropping action`, {
@@ -75,6 +154,12 @@ export class ActionRouter extends EventEmitter {
 
     queue.push(action);
 
+    if (coalesceKey) {
+      this.coalesceIndex.set(coalesceKey, action);
+    }
+
+    this._scheduleDrain();
+
     if (process.env.DEBUG === 'true') {
       this.emit('route', action);
       logger.debug('Action queued', {
@@ -88,6 +173,71 @@ export class ActionRouter extends EventEmitter {
     return true;
   }
 
+  /**
+   * Get coalescing key for an action, or null if it must be delivered as-is
+   * @private
+   */
+  _getCoalesceKey(action) {
+    if (!action.control) {
+      return null;
+    }
+
+    const isRelative = typeof action.delta === 'number';
+    const isAbsolute = action.continuous && typeof action.value === 'number' && !action.direction;
+
+    if (!isRelative && !isAbsolute) {
+      return null;
+    }
+
+    // Per source device: two controllers on the same control are separate streams
+    return `${action.deviceId ?? ''}|${action.command}|${action.deck ?? ''}|${action.control}`;
+  }
+
+  /**
+   * Merge action into the queued action with the same key
+   * @private
+   * @returns {boolean} True if merged (nothing new to queue)
+   */
+  _coalesce(key, action) {
+    const queued = this.coalesceIndex.get(key);
+
+    if (!queued) {
+      return false;
+    }
+
+    if (typeof action.delta === 'number') {
+      // Relative: sum deltas
+      queued.delta = (queued.delta || 0) + action.delta;
+
+      // Direction follows the sign of the summed delta
+      if (Math.sign(queued.delta) === Math.sign(action.delta)) {
+        queued.direction = action.direction;
+      }
+    }
+
+    // Absolute: latest value wins
+    if (action.value !== undefined) {
+      queued.value = action.value;
+    }
+
+    queued.timestamp = action.timestamp;
+    this.stats.coalescedActions++;
+
+    return true;
+  }
+
+  /**
+   * Remove a dequeued action from the coalescing index
+   * @private
+   */
+  _releaseCoalesced(action) {
+    const key = this._getCoalesceKey(action);
+
+    if (key && this.coalesceIndex.get(key) === action) {
+      this.coalesceIndex.delete(key);
+    }
+  }
+
   /**
    * Send action to Audio Engine (which routes based on target field)
    * @private
@@ -98,23 +248,41 @@ export class ActionRouter extends EventEmitter {
       return false;
     }
 
+    if (!this.audioClient.isConnected()) {
+      return this._holdOffline(action);
+    }
+
+    // Newer than the remembered position still waiting for replay
+    if (this.offlineSnapshot.size > 0) {
+      this.offlineSnapshot.delete(this._getSnapshotKey(action));
+    }
+
     try {
       // Send all actions to Audio Engine with flat structure
       // Audio Engine will route based on the 'target' field
+      // Command parameters (index, enabled, bars, ...) go first so they can't override routing fields
       const message = {
+        ...action.params,
         type: action.type,
         command: action.command,
         target: action.target, // Audio Engine uses this to route message
         priority: action.priority,
         timestamp: action.timestamp || Date.now(),
-        deck: action.deck,
         value: action.value,
         delta: action.delta,
         direction: action.direction,
         from: action.from // Device name for context
       };
 
-      logger.info('[SEND] Command to Audio Engine', {
+      // A deck given only in the command parameters stays
+      if (action.deck !== undefined) {
+        message.deck = action.deck;
+      }
+
+      // Critical streams (jog scratch/bend) would flood the info log
+      const level = action.priority === 'critical' ? 'debug' : 'info';
+
+      logger.log(level, '[SEND] Command to Audio Engine', {
         type: message.type,
         command: message.command,
         target: message.target,
@@ -146,46 +314,138 @@ export class ActionRouter extends EventEmitter {
   }
 
   /**
-   * Start queue processing loop
+   * Apply the offline policy to an action that can't be sent
+   * @private
+   * @returns {boolean} False - the action was not delivered
+   */
+  _holdOffline(action) {
+    const actionClass = classifyAction(action);
+    const policy = this.offlinePolicy[actionClass];
+
+    if (policy === 'snapshot') {
+      const key = this._getSnapshotKey(action);
+
+      // Re-insert so the snapshot replays in the order controls were last moved
+      this.offlineSnapshot.delete(key);
+      this.offlineSnapshot.set(key, action);
+    } else if (policy === 'buffer' && this.offlineBuffer.length < this.maxOfflineBuffer) {
+      this.offlineBuffer.push(action);
+    } else {
+      this.stats.offlineDropped++;
+      logger.warn('Audio Engine offline, dropping action', {
+        command: action.command,
+        deck: action.deck,
+        class: actionClass,
+        policy
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the offline snapshot key of an action (one remembered action per control)
    * @private
    */
-  _startProcessing() {
-    // Process queues continuously
-    setImmediate(async () => {
-      await this._processQueues();
-      this._startProcessing(); // Schedule next iteration
+  _getSnapshotKey(action) {
+    return this._getCoalesceKey(action) || `${action.command}|${action.deck ?? ''}`;
+  }
+
+  /**
+   * Re-send remembered positions, then buffered actions, after the engine reconnects
+   * @private
+   */
+  async _replayOffline() {
+    const positions = [...this.offlineSnapshot.values()];
+    const buffered = this.offlineBuffer;
+
+    if (positions.length === 0 && buffered.length === 0) {
+      return;
+    }
+
+    this.offlineSnapshot.clear();
+    this.offlineBuffer = [];
+
+    logger.info('Replaying actions held while Audio Engine was offline', {
+      positions: positions.length,
+      buffered: buffered.length
     });
+
+    const actions = [...positions, ...buffered];
+
+    for (const action of actions) {
+      // Anything that fails here is held again by _sendAction
+      if (await this._sendAction({ ...action, timestamp: Date.now() })) {
+        this.stats.offlineReplayed++;
+      }
+    }
   }
 
   /**
-   * Process queues with priority
+   * Start draining the queues unless a drain is already running or the router is paused
    * @private
    */
-  async _processQueues() {
-    if (this.isProcessing) {
+  _scheduleDrain() {
+    if (this.isDraining || this.isPaused || !this._hasQueuedActions()) {
       return;
     }
 
-    this.isProcessing = true;
+    this.isDraining = true;
+    this.drainPromise = this._drain();
+  }
+
+  /**
+   * Send queued actions in priority order until both queues are empty or the router is paused
+   * @private
+   */
+  async _drain() {
+    // Yield once so a burst of route() calls can coalesce before the first send
+    await new Promise(resolve => setImmediate(resolve));
 
     try {
-      // Process high priority queue first
-      if (this.highQueue.length > 0) {
-        const action = this.highQueue.shift();
-        await this._sendAction(action);
-      }
-      // Then process normal queue
-      else if (this.normalQueue.length > 0) {
-        const action = this.normalQueue.shift();
-        await this._sendAction(action);
+      while (!this.isPaused && this._hasQueuedActions()) {
+        // Process high priority queue first
+        if (this.highQueue.length > 0) {
+          await this._sendQueued(this.highQueue.shift());
+        }
+        // Then process normal queue
+        else {
+          const action = this.normalQueue.shift();
+          this._releaseCoalesced(action);
+
+          // Relative moves that cancelled out while queued carry no movement
+          if (action.delta === 0) {
+            continue;
+          }
+
+          await this._sendQueued(action);
+        }
       }
+    } finally {
+      this.isDraining = false;
+      this.drainPromise = null;
+    }
+  }
+
+  /**
+   * Send one dequeued action, logging instead of throwing so the drain keeps going
+   * @private
+   */
+  async _sendQueued(action) {
+    try {
+      await this._sendAction(action);
     } catch (error) {
       logger.error('Error processing queue', { error: error.message });
-    } finally {
-      this.isProcessing = false;
     }
   }
 
+  /**
+   * @private
+   */
+  _hasQueuedActions() {
+    return this.highQueue.length > 0 || this.normalQueue.length > 0;
+  }
+
   /**
    * Get queue statistics
    * @returns {object} Statistics object
@@ -211,6 +471,9 @@ export class ActionRouter extends EventEmitter {
 
     this.highQueue = [];
     this.normalQueue = [];
+    this.coalesceIndex.clear();
+    this.offlineSnapshot.clear();
+    this.offlineBuffer = [];
 
     logger.info('Queues cleared', cleared);
 
@@ -219,18 +482,50 @@ export class ActionRouter extends EventEmitter {
 
   /**
    * Pause queue processing
+   * Actions keep queueing; an action already being sent completes.
    */
   pause() {
-    this.isProcessing = true; // Prevent processing
+    this.isPaused = true;
     logger.info('Action router paused');
   }
 
   /**
-   * Resume queue processing
+   * Resume queue processing and send anything queued while paused
    */
   resume() {
-    this.isProcessing = false;
+    this.isPaused = false;
     logger.info('Action router resumed');
+    this._scheduleDrain();
+  }
+
+  /**
+   * Stop accepting actions and send everything still queued
+   * @param {number} timeoutMs - Maximum time to wait for the drain
+   * @returns {Promise<object>} Number of actions left unsent per queue
+   */
+  async shutdown(timeoutMs = 2000) {
+    this.isShuttingDown = true;
+    this.macros.cancelAll();
+    this.isPaused = false;
+    this._scheduleDrain();
+
+    if (this.drainPromise) {
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+
+      await Promise.race([this.drainPromise, timeout]);
+      clearTimeout(timer);
+    }
+
+    // Stop a drain that outlived the timeout after its current send
+    this.isPaused = true;
+
+    const unsent = this.clearQueues();
+    logger.info('Action router stopped', { unsent });
+
+    return unsent;
   }
 
   /**
@@ -247,7 +542,8 @@ export class ActionRouter extends EventEmitter {
         length: this.normalQueue.length,
         maxSize: this.maxQueueSize
       },
-      isProcessing: this.isProcessing
+      isDraining: this.isDraining,
+      isPaused: this.isPaused
     };
   }
 }
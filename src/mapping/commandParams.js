@@ -0,0 +1,35 @@
+/**
+ * Command parameters carried by mapping actions
+ *
+ * Mapping action fields the Controller Server interprets itself (command, deck, value,
+ * expressions, macro steps, jog and toggle settings, ...) are not sent as-is. Everything
+ * else (bus, enabled, index, band, beats, ...) is a parameter of the engine command and
+ * is sent with it:
+ *   { "command": "fx.busEnable", "bus": 0, "enabled": true } -> params { bus: 0, enabled: true }
+ */
+
+const RESERVED_FIELDS = new Set([
+  'type', 'command', 'target', 'priority', 'deck', 'value', 'delta', 'direction',
+  'valueExpression', 'emitRelease', 'side', 'jog', 'steps', 'cancelOnRelease',
+  'state', 'transform', 'valueField'
+]);
+
+/**
+ * Get the engine command parameters of a mapping action
+ * @param {object} action - Mapping action (or macro step)
+ * @param {Array<string>} [reserved] - Additional fields to leave out
+ * @returns {object|undefined} Parameters, or undefined if there are none
+ */
+export function getCommandParams(action, reserved = []) {
+  const params = {};
+
+  for (const [field, value] of Object.entries(action)) {
+    if (!RESERVED_FIELDS.has(field) && !reserved.includes(field)) {
+      params[field] = value;
+    }
+  }
+
+  return Object.keys(params).length > 0 ? params : undefined;
+}
+
+export default { getCommandParams };
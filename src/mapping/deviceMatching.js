@@ -0,0 +1,230 @@
+import { parseSysEx } from '../managers/sysex.js';
+
+/**
+ * Mapping selection for connected MIDI devices
+ *
+ * A mapping lists the devices it is for in "device.match". Each rule matches a port
+ * name pattern (case-insensitive regex), an identity fingerprint from the device's
+ * Universal Identity Reply, or both, and has an explicit priority:
+ *   "match": [
+ *     { "identity": { "manufacturer": "00 40 05" }, "name": "DDJ-FLX4", "priority": 100 },
+ *     { "name": "\\bDDJ-FLX4\\b", "priority": 50 }
+ *   ]
+ *
+ * Fingerprint fields: "manufacturer" (hex string or bytes), "family" and "model"
+ * (14-bit numbers); only the declared fields are compared.
+ *
+ * Mappings without "match" are used when the port name equals their device name or
+ * file name (priority 0), or, below every other rule, when one of these names contains
+ * the other ("DDJ-FLX4 MIDI 1" and a "DDJ-FLX4" mapping). Among all matching rules the
+ * highest priority wins, then rules with an identity, then rules with more fields;
+ * remaining ties go to the mapping file name in alphabetical order, so the choice never
+ * depends on load order.
+ */
+
+const RULE_FIELDS = ['name', 'identity', 'priority'];
+const IDENTITY_FIELDS = ['manufacturer', 'family', 'model'];
+
+/**
+ * Validate a mapping's "device.match" rules
+ * @param {Array<object>|undefined} match - Match rules
+ * @throws {Error} If a rule has no name/identity or an invalid field
+ */
+export function validateDeviceMatch(match) {
+  if (match === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(match) || match.length === 0) {
+    throw new Error('"device.match" must be a non-empty list of rules');
+  }
+
+  match.forEach((rule, index) => {
+    try {
+      compileRule(rule);
+    } catch (error) {
+      throw new Error(`"device.match" rule ${index}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Pick the mapping for a device
+ * @param {Array<[string, object]>} mappings - [mapping file name, mapping] pairs
+ * @param {object} device - { name, identity }
+ * @returns {Array<object>} Matches, best first: { file, mapping, priority, rule }
+ */
+export function rankMappings(mappings, device) {
+  const matches = [];
+
+  for (const [file, mapping] of mappings) {
+    const names = [mapping.device.name, file].filter(Boolean);
+    const rules = mapping.device.match
+      ? mapping.device.match.map(compileRule)
+      : [
+        { exactNames: names, priority: 0, fields: 1 },
+        { partialNames: names, partial: true, priority: 0, fields: 1 }
+      ];
+
+    // A mapping's best rule represents it
+    const best = rules
+      .filter(rule => ruleMatches(rule, device))
+      .sort(compareRules)[0];
+
+    if (best) {
+      matches.push({ file, mapping, priority: best.priority, rule: describeRule(best), compiled: best });
+    }
+  }
+
+  return matches
+    .sort((a, b) => compareRules(a.compiled, b.compiled) || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0))
+    .map(({ compiled, ...match }) => match);
+}
+
+/**
+ * @private
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('must be an object with "name" and/or "identity"');
+  }
+
+  const unknown = Object.keys(rule).find(field => !RULE_FIELDS.includes(field));
+
+  if (unknown) {
+    throw new Error(`unknown field "${unknown}" (expected ${RULE_FIELDS.join(', ')})`);
+  }
+
+  if (rule.name === undefined && rule.identity === undefined) {
+    throw new Error('must include "name" and/or "identity"');
+  }
+
+  if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+    throw new Error('"priority" must be a number');
+  }
+
+  const compiled = { priority: rule.priority ?? 0, fields: 0 };
+
+  if (rule.name !== undefined) {
+    if (typeof rule.name !== 'string') {
+      throw new Error('"name" must be a regular expression string');
+    }
+
+    try {
+      compiled.name = new RegExp(rule.name, 'i');
+    } catch (error) {
+      throw new Error(`"name" is not a valid regular expression: ${error.message}`);
+    }
+
+    compiled.fields++;
+  }
+
+  if (rule.identity !== undefined) {
+    compiled.identity = compileIdentity(rule.identity);
+    compiled.fields += Object.keys(compiled.identity).length;
+  }
+
+  return compiled;
+}
+
+/**
+ * @private
+ */
+function compileIdentity(identity) {
+  if (!identity || typeof identity !== 'object' || identity.manufacturer === undefined) {
+    throw new Error('"identity" must include "manufacturer" (e.g., "00 40 05")');
+  }
+
+  const unknown = Object.keys(identity).find(field => !IDENTITY_FIELDS.includes(field));
+
+  if (unknown) {
+    throw new Error(`unknown identity field "${unknown}" (expected ${IDENTITY_FIELDS.join(', ')})`);
+  }
+
+  // Reuse the SysEx byte parser by framing the ID
+  const bytes = typeof identity.manufacturer === 'string'
+    ? `F0 ${identity.manufacturer} F7`
+    : [0xF0, ...(Array.isArray(identity.manufacturer) ? identity.manufacturer : [identity.manufacturer]), 0xF7];
+  const manufacturer = parseSysEx(bytes).slice(1, -1);
+
+  if (manufacturer.length !== 1 && !(manufacturer.length === 3 && manufacturer[0] === 0x00)) {
+    throw new Error('"manufacturer" must be one byte or three bytes starting with 00');
+  }
+
+  const compiled = { manufacturer };
+
+  for (const field of ['family', 'model']) {
+    if (identity[field] === undefined) continue;
+
+    if (!Number.isInteger(identity[field]) || identity[field] < 0 || identity[field] > 0x3FFF) {
+      throw new Error(`identity "${field}" must be a number from 0 to 16383`);
+    }
+
+    compiled[field] = identity[field];
+  }
+
+  return compiled;
+}
+
+/**
+ * @private
+ */
+function ruleMatches(rule, device) {
+  if (rule.exactNames) {
+    const name = device.name?.toLowerCase();
+    return rule.exactNames.some(candidate => candidate.toLowerCase() === name);
+  }
+
+  if (rule.partialNames) {
+    const name = device.name?.toLowerCase();
+
+    return Boolean(name) && rule.partialNames.some(candidate => {
+      const lower = candidate.toLowerCase();
+      return name.includes(lower) || lower.includes(name);
+    });
+  }
+
+  if (rule.name && !rule.name.test(device.name || '')) {
+    return false;
+  }
+
+  if (rule.identity) {
+    const { identity } = device;
+
+    if (!identity || identity.manufacturerId.join() !== rule.identity.manufacturer.join()) {
+      return false;
+    }
+
+    return ['family', 'model'].every(field => rule.identity[field] === undefined || rule.identity[field] === identity[field]);
+  }
+
+  return true;
+}
+
+/**
+ * Best rule first: partial name matches last, then priority, then identity rules, then more fields
+ * @private
+ */
+function compareRules(a, b) {
+  return (Number(Boolean(a.partial)) - Number(Boolean(b.partial))) ||
+    (b.priority - a.priority) ||
+    (Number(Boolean(b.identity)) - Number(Boolean(a.identity))) ||
+    (b.fields - a.fields);
+}
+
+/**
+ * @private
+ */
+function describeRule(rule) {
+  if (rule.exactNames) {
+    return 'exact name';
+  }
+
+  if (rule.partialNames) {
+    return 'partial name';
+  }
+
+  return [rule.identity && 'identity', rule.name && `name /${rule.name.source}/`].filter(Boolean).join(' + ');
+}
+
+export default { validateDeviceMatch, rankMappings };
@@ -0,0 +1,263 @@
+import { logger } from '../utils/logger.js';
+import { getCommandParams } from './commandParams.js';
+
+/**
+ * Macro actions: one control triggering an ordered list of engine commands
+ *
+ * A mapping action { "command": "macro.run", "steps": [...] } expands into its steps:
+ *   "steps": [
+ *     { "command": "deck.pause" },
+ *     { "command": "deck.seekToCue", "index": 0 },
+ *     { "command": "pfl.setDeck", "enabled": true, "delay": 50 },
+ *     { "command": "fx.busEnable", "bus": 0, "enabled": true, "quantize": "beat" }
+ *   ]
+ *
+ * Steps inherit the mapping's deck, target and priority. "delay" waits (ms) before the
+ * step; "quantize" then waits for the next beat, bar or multiple of N beats on the
+ * master clock. Other step fields are sent with the command (index, enabled, bars, ...).
+ *
+ * The ActionRouter runs macros through MacroRunner, routing each step like any other
+ * action. Releasing the control cancels the steps not yet sent ("cancelOnRelease": false
+ * lets the macro finish).
+ */
+
+export const MACRO_COMMAND = 'macro.run';
+export const MACRO_CANCEL_COMMAND = 'macro.cancel';
+
+// Step timing fields (not sent as parameters)
+const STEP_FIELDS = ['delay', 'quantize'];
+
+// Beats per quantize unit
+const QUANTIZE_BEATS = { beat: 1, bar: 4 };
+
+/**
+ * Validate a macro mapping action
+ * @param {object} action - Mapping action ({ command: 'macro.run', steps, cancelOnRelease })
+ * @throws {Error} If the steps are missing or invalid
+ */
+export function validateMacro(action) {
+  if (!Array.isArray(action.steps) || action.steps.length === 0) {
+    throw new Error('"steps" must be a non-empty list of commands');
+  }
+
+  action.steps.forEach((step, index) => {
+    if (typeof step?.command !== 'string' || step.command.startsWith('macro.')) {
+      throw new Error(`Step ${index} must include "command" (an engine command)`);
+    }
+
+    if (step.delay !== undefined && !(typeof step.delay === 'number' && step.delay >= 0)) {
+      throw new Error(`Step ${index} has invalid "delay" (must be a number of ms >= 0)`);
+    }
+
+    if (step.quantize !== undefined && !QUANTIZE_BEATS[step.quantize] &&
+      !(typeof step.quantize === 'number' && step.quantize > 0)) {
+      throw new Error(`Step ${index} has invalid "quantize" (beat, bar, or a number of beats)`);
+    }
+
+    if (step.target !== undefined && !['audio', 'app', 'ui'].includes(step.target)) {
+      throw new Error(`Step ${index} has invalid "target" (audio, app, or ui)`);
+    }
+
+    if (step.priority !== undefined && !['critical', 'high', 'normal'].includes(step.priority)) {
+      throw new Error(`Step ${index} has invalid "priority" (critical, high, or normal)`);
+    }
+  });
+
+  if (action.cancelOnRelease !== undefined && typeof action.cancelOnRelease !== 'boolean') {
+    throw new Error('"cancelOnRelease" must be true or false');
+  }
+}
+
+/**
+ * Resolve a macro's steps against the action that triggered it
+ * @param {Array<object>} steps - Mapping steps
+ * @param {object} action - Translated macro action (target, priority, deck)
+ * @param {function(string): string} resolveDeck - Resolves controller sides to decks
+ * @returns {Array<object>} Steps ready for MacroRunner
+ */
+export function buildMacroSteps(steps, action, resolveDeck) {
+  return steps.map(step => ({
+    type: step.type,
+    command: step.command,
+    target: step.target || action.target,
+    priority: step.priority || action.priority,
+    deck: step.deck ? resolveDeck(step.deck) : action.deck,
+    value: step.value,
+    delta: step.delta,
+    direction: step.direction,
+    delay: step.delay || 0,
+    quantize: step.quantize,
+    params: getCommandParams(step, STEP_FIELDS)
+  }));
+}
+
+export class MacroRunner {
+  /**
+   * @param {object} options
+   * @param {function(object): Promise<boolean>} options.route - Routes one step action
+   * @param {function(): Promise<object>} options.getClock - Master clock state ({ bpm, phase, isValid })
+   */
+  constructor({ route, getClock }) {
+    this.route = route;
+    this.getClock = getClock;
+    this.running = new Map(); // device|control -> { cancelled, timer, wake }
+  }
+
+  /**
+   * Start a macro (restarting it if the control's macro is still running)
+   * @param {object} action - Macro action with resolved steps
+   * @returns {boolean} True if the macro started
+   */
+  run(action) {
+    if (!Array.isArray(action.steps) || action.steps.length === 0) {
+      logger.warn('Macro has no steps', { control: action.control });
+      return false;
+    }
+
+    const key = this._getKey(action);
+    this.cancel(action);
+
+    const macro = { cancelled: false, timer: null, wake: null };
+    this.running.set(key, macro);
+
+    logger.info('Macro started', { control: action.control, steps: action.steps.length });
+
+    this._execute(macro, action)
+      .catch((error) => {
+        logger.error('Macro failed', { control: action.control, error: error.message });
+      })
+      .finally(() => {
+        if (this.running.get(key) === macro) {
+          this.running.delete(key);
+        }
+      });
+
+    return true;
+  }
+
+  /**
+   * Cancel the steps of a control's macro that haven't been sent yet
+   * @param {object} action - Macro or macro.cancel action (deviceId, control)
+   * @returns {boolean} True if a running macro was cancelled
+   */
+  cancel(action) {
+    const key = this._getKey(action);
+    const macro = this.running.get(key);
+
+    if (!macro) {
+      return false;
+    }
+
+    this._stop(macro);
+    this.running.delete(key);
+
+    logger.info('Macro cancelled', { control: action.control });
+
+    return true;
+  }
+
+  /**
+   * Cancel every running macro
+   * @returns {number} Number of macros cancelled
+   */
+  cancelAll() {
+    const count = this.running.size;
+
+    for (const macro of this.running.values()) {
+      this._stop(macro);
+    }
+
+    this.running.clear();
+
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  async _execute(macro, action) {
+    for (const step of action.steps) {
+      const { delay, quantize, params, ...fields } = step;
+
+      if (delay > 0) {
+        await this._wait(macro, delay);
+      }
+
+      if (quantize !== undefined && !macro.cancelled) {
+        await this._wait(macro, await this._getQuantizeDelay(quantize));
+      }
+
+      if (macro.cancelled) {
+        return;
+      }
+
+      await this.route({
+        ...fields,
+        params,
+        timestamp: Date.now(),
+        deviceId: action.deviceId,
+        from: action.from,
+        control: action.control,
+        continuous: false
+      });
+    }
+  }
+
+  /**
+   * Time until the next quantize boundary on the master clock
+   * @private
+   * @returns {Promise<number>} Delay in ms (0 if the clock is unavailable)
+   */
+  async _getQuantizeDelay(quantize) {
+    const beats = QUANTIZE_BEATS[quantize] || quantize;
+
+    try {
+      const clock = await this.getClock();
+
+      if (!clock || clock.isValid === false || !(clock.bpm > 0) || typeof clock.phase !== 'number') {
+        logger.warn('Master clock not available, macro step not quantized');
+        return 0;
+      }
+
+      const next = Math.ceil(clock.phase / beats) * beats;
+
+      return (next - clock.phase) * 60000 / clock.bpm;
+    } catch (error) {
+      logger.warn('Failed to read master clock, macro step not quantized', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Cancellable sleep
+   * @private
+   */
+  _wait(macro, ms) {
+    if (ms <= 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      macro.wake = resolve;
+      macro.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _stop(macro) {
+    macro.cancelled = true;
+    clearTimeout(macro.timer);
+    macro.wake?.();
+  }
+
+  /**
+   * @private
+   */
+  _getKey(action) {
+    return `${action.deviceId ?? ''}|${action.control}`;
+  }
+}
+
+export default MacroRunner;
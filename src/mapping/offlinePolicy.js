@@ -0,0 +1,76 @@
+/**
+ * What the router does with an action while the Audio Engine is disconnected
+ *
+ * Actions are grouped into classes; each class has a policy:
+ * - "drop": discard with a warning (replaying a stale play/load would surprise the DJ)
+ * - "snapshot": remember the latest value per control and re-send it on reconnect,
+ *   so the engine matches the physical faders/knobs after an engine restart
+ * - "buffer": keep actions in order (bounded) and replay them on reconnect
+ */
+
+export const OFFLINE_POLICIES = ['drop', 'snapshot', 'buffer'];
+
+// Action classes, in classification order
+export const ACTION_CLASSES = ['position', 'jog', 'load', 'library', 'transport', 'default'];
+
+export const DEFAULT_OFFLINE_POLICY = {
+  position: 'snapshot', // Faders, EQ, crossfader, tempo - absolute positions
+  jog: 'drop', // Critical-priority jog/scratch
+  load: 'drop', // Track loads
+  library: 'drop', // Browsing
+  transport: 'drop', // Play, cue, sync, loops, hot cues
+  default: 'drop'
+};
+
+/**
+ * Get the offline action class of an action
+ * @param {object} action - Action object from a translator
+ * @returns {string} One of ACTION_CLASSES
+ */
+export function classifyAction(action) {
+  const command = action.command || '';
+
+  if (action.continuous && typeof action.value === 'number' && !action.direction) {
+    return 'position';
+  }
+
+  if (action.priority === 'critical') {
+    return 'jog';
+  }
+
+  if (/load/i.test(command)) {
+    return 'load';
+  }
+
+  if (action.type === 'library' || command.startsWith('library.')) {
+    return 'library';
+  }
+
+  if (action.type === 'transport' || command.startsWith('deck.')) {
+    return 'transport';
+  }
+
+  return 'default';
+}
+
+/**
+ * Merge a configured offline policy over the defaults
+ * @param {object} [policy] - Action class -> policy name
+ * @returns {object} Complete policy for every action class
+ * @throws {Error} If a class or policy name is unknown
+ */
+export function resolveOfflinePolicy(policy = {}) {
+  for (const [actionClass, name] of Object.entries(policy)) {
+    if (!ACTION_CLASSES.includes(actionClass)) {
+      throw new Error(`Unknown offline action class "${actionClass}" (expected ${ACTION_CLASSES.join(', ')})`);
+    }
+
+    if (!OFFLINE_POLICIES.includes(name)) {
+      throw new Error(`Unknown offline policy "${name}" for "${actionClass}" (expected ${OFFLINE_POLICIES.join(', ')})`);
+    }
+  }
+
+  return { ...DEFAULT_OFFLINE_POLICY, ...policy };
+}
+
+export default { classifyAction, resolveOfflinePolicy };
@@ -4,6 +4,8 @@ import { ActionMapper } from './mapping/ActionMapper.js';
 import { ActionRouter } from './mapping/ActionRouter.js';
 import { AudioEngineClient } from './websocket/AudioEngineClient.js';
 import { FeedbackManager } from './feedback/FeedbackManager.js';
+import { SELECT_DECK_COMMAND } from './translators/deckLayers.js';
+import { MODIFIER_CHANGE_COMMAND } from './translators/MIDITranslator.js';
 import { logger } from './utils/logger.js';
 import { loadConfig } from './utils/config.js';
 
@@ -54,6 +56,9 @@ class ControllerServer {
       logger.info('Initializing action router...');
       this.router = new ActionRouter({
         audio: this.audioClient
+      }, {
+        offlinePolicy: this.config.offlinePolicy,
+        maxOfflineBuffer: this.config.maxOfflineBuffer
       });
 
       // Initialize MIDI
@@ -74,6 +79,43 @@ class ControllerServer {
         logger.warn('Failed to load device mappings', { error: error.message });
       }
 
+      // Hot-reload mappings; resync LEDs on devices whose translator was swapped
+      this.mapper.on('mapping:reloaded', async ({ deviceIds, mapping, previous }) => {
+        // Device-level settings (14-bit pairs, SysEx sequences, HID parsing) follow the new
+        // mapping, also on devices that have no translator yet
+        const updated = new Set(deviceIds);
+
+        for (const manager of [this.midiManager, this.hidManager]) {
+          for (const device of manager.getConnectedDevices()) {
+            if (updated.has(device.deviceId) || (previous && device.config === previous)) {
+              manager.updateDeviceConfig(device.deviceId, mapping);
+              updated.add(device.deviceId);
+            }
+          }
+        }
+
+        if (!this.feedbackManager) {
+          return;
+        }
+
+        for (const deviceId of updated) {
+          await this.feedbackManager.syncDevice(deviceId);
+        }
+      });
+
+      if (this.config.watchMappings) {
+        this.mapper.watchMappings();
+      }
+
+      // Timed gestures (long press, hold-repeat) produce actions outside input events
+      this.mapper.on('action', async (action) => {
+        try {
+          await this._dispatchAction(action, action.from || action.deviceId);
+        } catch (error) {
+          logger.error('Error handling gesture action', { error: error.message });
+        }
+      });
+
       // Connect MIDI input to router
       this.midiManager.on('input', async (event) => {
         await this._handleMIDIInput(event);
@@ -125,11 +167,15 @@ class ControllerServer {
         this.hidManager,
         {
           audio: this.audioClient
-        }
+        },
+        this.mapper
       );
 
       await this.feedbackManager.initialize();
 
+      // Translators compare absolute controls against engine state (soft takeover)
+      this.mapper.setStateSource(() => this.feedbackManager.getState());
+
       // Scan and connect MIDI devices
       logger.info('Scanning for MIDI devices...');
       const devices = await this.midiManager.scanDevices();
@@ -139,27 +185,7 @@ class ControllerServer {
       } else {
         // Auto-connect to available devices
         for (const deviceName of devices.inputs) {
-          try {
-            // Try to find matching mapping
-            const mapping = this.mapper.findMatchingMapping(deviceName);
-
-            if (mapping) {
-              logger.info(`Found mapping for ${deviceName}: ${mapping.device.name}`);
-              await this.midiManager.connectDevice(deviceName, mapping);
-            } else {
-              // Try connecting with generic mapping
-              logger.info(`Using generic mapping for ${deviceName}`);
-              const genericMapping = await this.mapper.loadMapping('generic-midi').catch(() => null);
-
-              if (genericMapping) {
-                await this.midiManager.connectDevice(deviceName, genericMapping);
-              } else {
-                logger.warn(`No mapping available for ${deviceName}, skipping`);
-              }
-            }
-          } catch (error) {
-            logger.error(`Failed to connect to ${deviceName}`, { error: error.message });
-          }
+          await this._connectMIDIDevice(deviceName);
         }
       }
 
@@ -172,29 +198,25 @@ class ControllerServer {
       } else {
         // Auto-connect to available HID devices
         for (const hidDevice of hidDevices) {
-          try {
-            // Try to find matching mapping by vendor/product ID
-            const vendorId = `0x${hidDevice.vendorId?.toString(16)}`;
-            const productId = `0x${hidDevice.productId?.toString(16)}`;
-
-            const mapping = this.mapper.findMatchingMapping(
-              hidDevice.product || 'Unknown',
-              vendorId,
-              productId
-            );
-
-            if (mapping) {
-              logger.info(`Found mapping for ${hidDevice.manufacturer} ${hidDevice.product}: ${mapping.device.name}`);
-              await this.hidManager.connectDevice(hidDevice.path, mapping);
-            } else {
-              logger.warn(`No mapping available for ${hidDevice.manufacturer} ${hidDevice.product} (${vendorId}:${productId}), skipping`);
-            }
-          } catch (error) {
-            logger.error(`Failed to connect to ${hidDevice.product}`, { error: error.message });
-          }
+          await this._connectHIDDevice(hidDevice);
         }
       }
 
+      // Hot-plug: connect devices plugged in after startup
+      // (removed devices are disconnected by the managers themselves)
+      this.midiManager.on('device:available', async ({ name }) => {
+        await this._connectMIDIDevice(name);
+      });
+
+      this.hidManager.on('device:available', async (hidDevice) => {
+        await this._connectHIDDevice(hidDevice);
+      });
+
+      if (this.config.hotPlugInterval > 0) {
+        this.midiManager.startHotPlugDetection(this.config.hotPlugInterval);
+        this.hidManager.startHotPlugDetection(this.config.hotPlugInterval);
+      }
+
       // Set up graceful shutdown
       this._setupShutdownHandlers();
 
@@ -222,6 +244,63 @@ class ControllerServer {
     }
   }
 
+  /**
+   * Connect a MIDI device with its matching mapping (or the generic mapping)
+   * @private
+   */
+  async _connectMIDIDevice(deviceName) {
+    try {
+      // The mapping is picked once the device has answered the identity request
+      await this.midiManager.connectDevice(deviceName, async ({ identity }) => {
+        const mapping = this.mapper.findMatchingMapping(deviceName, null, null, identity);
+
+        if (mapping) {
+          logger.info(`Found mapping for ${deviceName}: ${mapping.device.name}`);
+          return mapping;
+        }
+
+        // Try connecting with generic mapping
+        logger.info(`Using generic mapping for ${deviceName}`);
+        const genericMapping = await this.mapper.loadMapping('generic-midi').catch(() => null);
+
+        if (!genericMapping) {
+          logger.warn(`No mapping available for ${deviceName}, skipping`);
+        }
+
+        return genericMapping;
+      });
+    } catch (error) {
+      logger.error(`Failed to connect to ${deviceName}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Connect an HID device with the mapping matching its vendor/product ID
+   * @private
+   */
+  async _connectHIDDevice(hidDevice) {
+    try {
+      // Try to find matching mapping by vendor/product ID
+      const vendorId = `0x${hidDevice.vendorId?.toString(16)}`;
+      const productId = `0x${hidDevice.productId?.toString(16)}`;
+
+      const mapping = this.mapper.findMatchingMapping(
+        hidDevice.product || 'Unknown',
+        vendorId,
+        productId
+      );
+
+      if (mapping) {
+        logger.info(`Found mapping for ${hidDevice.manufacturer} ${hidDevice.product}: ${mapping.device.name}`);
+        await this.hidManager.connectDevice(hidDevice.path, mapping);
+      } else {
+        logger.warn(`No mapping available for ${hidDevice.manufacturer} ${hidDevice.product} (${vendorId}:${productId}), skipping`);
+      }
+    } catch (error) {
+      logger.error(`Failed to connect to ${hidDevice.product}`, { error: error.message });
+    }
+  }
+
   /**
    * Handle MIDI input event
    * @private
@@ -238,7 +317,7 @@ class ControllerServer {
       }
 
       // Get or create translator
-      const translator = await this.mapper.getTranslator(event.deviceId, device.name);
+      const translator = await this.mapper.getTranslator(event.deviceId, device.name, device.config);
 
       // Translate MIDI event to action
       const action = translator.translate(event);
@@ -248,19 +327,7 @@ class ControllerServer {
         return;
       }
 
-      if (this.config.debug) {
-        logger.debug('Action translated', {
-          device: device.name,
-          action: action.type,
-          command: action.command,
-          deck: action.deck,
-          target: action.target,
-          priority: action.priority
-        });
-      }
-
-      // Route action (Audio Engine will forward to App/UI as needed)
-      await this.router.route(action);
+      await this._dispatchAction(action, device.name);
     } catch (error) {
       logger.error('Error handling MIDI input', {
         error: error.message,
@@ -269,6 +336,56 @@ class ControllerServer {
     }
   }
 
+  /**
+   * Route a translated action (or handle it locally)
+   * @private
+   */
+  async _dispatchAction(action, deviceName) {
+    // Controller-side actions (deck layer switches, modifier changes) never reach the engine
+    if (action.target === 'local') {
+      await this._handleLocalAction(action);
+      return;
+    }
+
+    if (this.config.debug) {
+      logger.debug('Action translated', {
+        device: deviceName,
+        action: action.type,
+        command: action.command,
+        deck: action.deck,
+        target: action.target,
+        priority: action.priority
+      });
+    }
+
+    // Route action (Audio Engine will forward to App/UI as needed)
+    await this.router.route(action);
+  }
+
+  /**
+   * Handle an action that is resolved inside the Controller Server
+   * @private
+   */
+  async _handleLocalAction(action) {
+    if (action.command === SELECT_DECK_COMMAND) {
+      logger.info('Deck layer switched', {
+        deviceId: action.deviceId,
+        side: action.side,
+        deck: action.deck
+      });
+
+      // LEDs on the switched side now show the newly selected deck
+      if (action.changed && this.feedbackManager) {
+        await this.feedbackManager.syncDevice(action.deviceId);
+      }
+    } else if (action.command === MODIFIER_CHANGE_COMMAND) {
+      // LEDs of layered mappings follow the new modifier state (e.g., pad mode)
+      if (action.layered && this.feedbackManager) {
+        await this.feedbackManager.syncLayeredBindings(action.deviceId);
+      }
+    }
+  }
+
   /**
    * Handle HID input event
    * @private
@@ -285,7 +402,7 @@ class ControllerServer {
       }
 
       // Get or create translator
-      const translator = await this.mapper.getTranslator(event.deviceId, device.product);
+      const translator = await this.mapper.getTranslator(event.deviceId, device.product, device.config);
 
       // Translate HID event to action
       const action = translator.translate(event);
@@ -295,19 +412,7 @@ class ControllerServer {
         return;
       }
 
-      if (this.config.debug) {
-        logger.debug('Action translated', {
-          device: device.product,
-          action: action.type,
-          command: action.command,
-          deck: action.deck,
-          target: action.target,
-          priority: action.priority
-        });
-      }
-
-      // Route action (Audio Engine will forward to App/UI as needed)
-      await this.router.route(action);
+      await this._dispatchAction(action, device.product);
     } catch (error) {
       logger.error('Error handling HID input', {
         error: error.message,
@@ -345,7 +450,8 @@ class ControllerServer {
       logger.info('Router stats', {
         totalActions: stats.totalActions,
         droppedActions: stats.droppedActions,
-        queueSizes: queueStatus
+        queueSizes: queueStatus,
+        requestLatency: this.audioClient.getLatencyStats()
       });
     }, 30000); // Every 30 seconds
   }
@@ -362,16 +468,28 @@ class ControllerServer {
 
     this.running = false;
 
+    // Stop watching mapping files
+    if (this.mapper) {
+      this.mapper.unwatchMappings();
+    }
+
     // Disconnect all MIDI devices
     if (this.midiManager) {
+      this.midiManager.stopHotPlugDetection();
       await this.midiManager.disconnectAll();
     }
 
     // Disconnect all HID devices
     if (this.hidManager) {
+      this.hidManager.stopHotPlugDetection();
       await this.hidManager.disconnectAll();
     }
 
+    // Send actions still queued before the engine connection goes away
+    if (this.router) {
+      await this.router.shutdown();
+    }
+
     // Disconnect WebSocket client
     if (this.audioClient) {
       await this.audioClient.disconnect();
@@ -1,4 +1,26 @@
 import { logger } from '../utils/logger.js';
+import { parseStatePath, resolveStatePath } from '../feedback/stateBindings.js';
+import { compileMappingExpressions } from '../utils/expression.js';
+import { DeckLayers, SELECT_DECK_COMMAND } from './deckLayers.js';
+import { SoftTakeover } from './softTakeover.js';
+import { GestureRecognizer, parseGesture } from './gestures.js';
+import { JogWheels, JOG_TOUCH_COMMAND, isJogCommand } from './jogWheels.js';
+import { compileMappingCurves } from './curves.js';
+import { MACRO_COMMAND, MACRO_CANCEL_COMMAND, buildMacroSteps } from '../mapping/macros.js';
+import { getCommandParams } from '../mapping/commandParams.js';
+import { ToggleTracker, TOGGLE_TYPE, isLatchingAction } from './toggles.js';
+
+// LED output values used when a feedback block has no stateMap
+const DEFAULT_LED_STATE_MAP = {
+  playing: 1,
+  cued: 1,
+  locked: 1,
+  enabled: 1,
+  on: 1,
+  stopped: 0,
+  disabled: 0,
+  off: 0
+};
 
 /**
  * Translates HID state changes to semantic actions
@@ -8,17 +30,56 @@ import { logger } from '../utils/logger.js';
  * - High-resolution faders (10-bit, 14-bit)
  * - Button states (with shift/modifier support)
  * - Encoder rotations
+ * - Deck layering ("deck": "left" resolves to the side's selected deck)
+ * - Button gestures: extra mappings name their button with "control" and declare a "gesture"
  */
 export class HIDTranslator {
-  constructor(mapping) {
+  /**
+   * @param {object} mapping - Device mapping
+   * @param {object} [options]
+   * @param {function(): object} [options.getState] - Engine state cache (for soft takeover)
+   * @param {function(object): void} [options.onAction] - Receives actions from timed gestures (long press, hold-repeat)
+   */
+  constructor(mapping, options = {}) {
     this.mapping = mapping;
     this.deviceName = mapping?.device?.name || 'Unknown';
 
+    // Parse mapping expressions once (throws with the mapping key if invalid)
+    this.expressions = compileMappingExpressions(mapping.mappings, 'hid');
+
     // Track modifier button states (shift, etc.)
     this.modifierState = {};
 
+    // Which deck each controller side drives
+    this.deckLayers = new DeckLayers(mapping.decks);
+
+    // Fader/knob response curves (control name -> response function)
+    this.curves = compileMappingCurves(mapping.mappings);
+
+    // Soft takeover for absolute faders/knobs (engine value from the state cache)
+    this.softTakeover = new SoftTakeover(mapping.mappings);
+    this.getEngineState = options.getState || null;
+
+    // Toggle buttons (current state from the state cache)
+    this.toggles = new ToggleTracker(mapping.mappings);
+
+    // Button gestures (long press, double tap, hold-repeat)
+    this.onAction = options.onAction || null;
+    this.gestures = new GestureRecognizer((button, gesture) => this._emitTimedGesture(button, gesture));
+    this.gestureTable = this._buildGestureTable();
+
+    // Jog wheels (scratch, bend); their actions are delivered through onAction
+    this.jogWheels = new JogWheels(mapping.jogWheels, {
+      deckLayers: this.deckLayers,
+      getState: () => this.getEngineState?.(),
+      emit: action => this.onAction?.(action)
+    });
+
     // Build lookup table for fast translation
     this.lookupTable = this._buildLookupTable();
+
+    // Declarative state -> control feedback bindings
+    this.feedbackBindings = this._buildFeedbackBindings();
   }
 
   /**
@@ -28,6 +89,14 @@ export class HIDTranslator {
    */
   translate(hidEvent) {
     const controlName = hidEvent.control;
+
+    // Buttons with gesture mappings are resolved per gesture
+    const gestureEntry = this.gestureTable.get(controlName);
+
+    if (gestureEntry) {
+      return this._translateGesture(gestureEntry, hidEvent);
+    }
+
     const mapping = this.mapping.mappings[controlName];
 
     if (!mapping) {
@@ -55,8 +124,36 @@ export class HIDTranslator {
     }
 
     try {
+      if (mapping.action.command === SELECT_DECK_COMMAND) {
+        return this._buildDeckSelectAction(hidEvent, mapping, controlName, hidEvent.value > 0);
+      }
+
+      if (isJogCommand(mapping.action.command)) {
+        const source = { control: controlName, deviceId: hidEvent.deviceId };
+
+        if (mapping.action.command === JOG_TOUCH_COMMAND) {
+          this.jogWheels.touch(mapping.action.jog, hidEvent.value > 0, source);
+        } else {
+          this.jogWheels.turn(mapping.action.jog, hidEvent.delta, source);
+        }
+
+        return null;
+      }
+
+      if (mapping.action.command === MACRO_COMMAND) {
+        return this._buildMacroAction(hidEvent, mapping, hidEvent.value > 0);
+      }
+
+      if (isLatchingAction(mapping.action)) {
+        return this._buildLatchingAction(hidEvent, mapping, controlName, hidEvent.value > 0);
+      }
+
       const action = this._buildAction(hidEvent, mapping);
 
+      if (action?.continuous && !this._applySoftTakeover(controlName, action)) {
+        return null;
+      }
+
       if (action) {
         logger.info('[TRANSLATE] HID -> Action', {
           device: this.deviceName,
@@ -89,6 +186,251 @@ export class HIDTranslator {
     }
   }
 
+  /**
+   * Build lookup table for buttons with gesture mappings
+   * A mapping applies to the button named by its "control" field, or its own key.
+   * @private
+   * @returns {Map<string, object>} Control name -> { button, keysByGesture, gestures, lastEvent }
+   */
+  _buildGestureTable() {
+    const byControl = new Map();
+
+    for (const [key, mapping] of Object.entries(this.mapping.mappings)) {
+      if (key.startsWith('_') || !mapping?.action) continue;
+
+      const control = mapping.control || key;
+
+      if (!byControl.has(control)) {
+        byControl.set(control, []);
+      }
+
+      byControl.get(control).push(key);
+    }
+
+    const table = new Map();
+
+    for (const [control, keys] of byControl) {
+      if (!keys.some(key => this.mapping.mappings[key].gesture !== undefined)) continue;
+
+      const entry = { button: control, keysByGesture: {}, gestures: {}, lastEvent: null };
+
+      for (const key of keys) {
+        const gesture = parseGesture(this.mapping.mappings[key].gesture);
+
+        (entry.keysByGesture[gesture.type] ||= []).push(key);
+
+        if (!entry.gestures[gesture.type]) {
+          entry.gestures[gesture.type] = gesture;
+        }
+      }
+
+      table.set(control, entry);
+    }
+
+    return table;
+  }
+
+  /**
+   * Feed a button edge to the gesture recognizer
+   * @private
+   * @returns {object|null} Action for a gesture recognized on this edge, or null
+   */
+  _translateGesture(entry, hidEvent) {
+    entry.lastEvent = hidEvent;
+
+    const gesture = this.gestures.handle(entry.button, hidEvent.value > 0, entry.gestures);
+
+    return gesture ? this._buildGestureAction(entry, gesture, hidEvent) : null;
+  }
+
+  /**
+   * Deliver a long-press / hold-repeat action through onAction
+   * @private
+   */
+  _emitTimedGesture(button, gesture) {
+    const entry = this.gestureTable.get(button);
+
+    if (!entry?.lastEvent || !this.onAction) {
+      return;
+    }
+
+    const action = this._buildGestureAction(entry, gesture, { ...entry.lastEvent, timestamp: Date.now() });
+
+    if (action) {
+      this.onAction(action);
+    }
+  }
+
+  /**
+   * Pick the mapping key whose condition holds, falling back to the unconditional one
+   * @private
+   * @param {Array<string>|undefined} candidates - Mapping keys of the same button
+   * @returns {string|undefined} Mapping key
+   */
+  _selectMappingKey(candidates) {
+    if (!candidates) {
+      return undefined;
+    }
+
+    // Layered mappings: first condition that holds wins
+    const layered = candidates.find(key => {
+      const condition = this.mapping.mappings[key].condition;
+      return condition && this._evaluateCondition(condition);
+    });
+
+    if (layered) {
+      return layered;
+    }
+
+    // Fall back to base layer
+    return candidates.find(key => !this.mapping.mappings[key].condition);
+  }
+
+  /**
+   * Build the action mapped to a gesture (honouring modifier conditions)
+   * @private
+   */
+  _buildGestureAction(entry, gesture, hidEvent) {
+    const mappingKey = this._selectMappingKey(entry.keysByGesture[gesture]);
+
+    if (!mappingKey) {
+      return null;
+    }
+
+    const mapping = this.mapping.mappings[mappingKey];
+
+    try {
+      if (mapping.action.command === SELECT_DECK_COMMAND) {
+        return this._buildDeckSelectAction(hidEvent, mapping, mappingKey, true);
+      }
+
+      // Gesture actions fire on release too ("release" gesture)
+      const action = isLatchingAction(mapping.action)
+        ? this._buildLatchingAction(hidEvent, mapping, mappingKey, true)
+        : this._buildAction(hidEvent, {
+          ...mapping,
+          action: { ...mapping.action, emitRelease: true }
+        });
+
+      if (!action) {
+        return null;
+      }
+
+      action.gesture = gesture;
+
+      if (mapping.action.command === MACRO_COMMAND) {
+        action.steps = buildMacroSteps(mapping.action.steps, action, deck => this.deckLayers.resolve(deck));
+      }
+
+      logger.info('[TRANSLATE] HID gesture -> Action', {
+        device: this.deviceName,
+        gesture,
+        action: {
+          type: action.type,
+          command: action.command,
+          target: action.target,
+          deck: action.deck,
+          value: action.value,
+          priority: action.priority
+        }
+      });
+
+      return action;
+    } catch (error) {
+      logger.error('Failed to translate HID gesture', {
+        device: this.deviceName,
+        control: entry.button,
+        gesture,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Build a toggle (press: inverse of the engine state) or momentary (press: on, release: off) action
+   * @private
+   */
+  _buildLatchingAction(hidEvent, mapping, control, pressed) {
+    let on = pressed;
+
+    if (mapping.action.type === TOGGLE_TYPE) {
+      if (!pressed) {
+        return null;
+      }
+
+      on = this.toggles.next(control, this._readToggleState(control));
+    }
+
+    // Buttons are built with emitRelease so momentary releases come through
+    const action = this._buildAction(hidEvent, {
+      ...mapping,
+      action: { ...mapping.action, emitRelease: true }
+    });
+
+    if (!action) {
+      return null;
+    }
+
+    delete action.type;
+    action.value = on;
+    action.continuous = false;
+
+    if (mapping.action.valueField) {
+      action.params = { ...action.params, [mapping.action.valueField]: on };
+    }
+
+    return action;
+  }
+
+  /**
+   * Read a toggle's current engine state (side-relative paths follow the deck layer)
+   * @private
+   */
+  _readToggleState(control) {
+    const config = this.toggles.get(control);
+
+    if (!config || !this.getEngineState) {
+      return undefined;
+    }
+
+    return resolveStatePath(this.getEngineState(), this.deckLayers.resolveStateSegments(config.segments));
+  }
+
+  /**
+   * Build a macro action on press, or its cancellation on release
+   * @private
+   */
+  _buildMacroAction(hidEvent, mapping, pressed) {
+    const action = this._buildAction(hidEvent, {
+      ...mapping,
+      action: { ...mapping.action, emitRelease: true }
+    });
+
+    if (!action) {
+      return null;
+    }
+
+    if (!pressed) {
+      return mapping.action.cancelOnRelease === false
+        ? null
+        : { ...action, command: MACRO_CANCEL_COMMAND };
+    }
+
+    action.steps = buildMacroSteps(mapping.action.steps, action, deck => this.deckLayers.resolve(deck));
+
+    return action;
+  }
+
+  /**
+   * Cancel pending gesture and jog timers (translator replaced or device removed)
+   */
+  dispose() {
+    this.gestures.reset();
+    this.jogWheels.reset();
+    this.toggles.reset();
+  }
+
   /**
    * Translate action to HID output (for feedback)
    * @param {object} action - Action object
@@ -97,36 +439,217 @@ export class HIDTranslator {
    */
   actionToHID(action, state) {
     // Find mapping that matches this action
-    for (const [controlName, mapping] of Object.entries(this.mapping.mappings)) {
-      if (!mapping.feedback) continue;
+    for (const mapping of Object.values(this.mapping.mappings)) {
+      if (!mapping.feedback || !mapping.action) continue;
 
       // Check if action matches this mapping
       if (this._actionMatches(action, mapping.action)) {
-        const feedbackConfig = mapping.feedback;
-
-        if (feedbackConfig.type === 'led' && feedbackConfig.hidOut) {
-          // Return HID output configuration
-          return {
-            type: 'led',
-            reportId: feedbackConfig.hidOut.reportId,
-            byte: feedbackConfig.hidOut.byte,
-            bit: feedbackConfig.hidOut.bit,
-            state: state
-          };
-        } else if (feedbackConfig.type === 'display' && feedbackConfig.hidOut) {
-          // Display output
-          return {
-            type: 'display',
-            reportId: feedbackConfig.hidOut.reportId,
-            data: state // State should contain display text/data
-          };
-        }
+        return this._buildFeedbackOutput(mapping, state);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Translate a control name to HID output (for feedback)
+   * @param {string} controlName - Control name (e.g., 'cue_a')
+   * @param {string} state - State value (e.g., 'playing', 'stopped')
+   * @returns {object|null} HID output config or null
+   */
+  controlToHID(controlName, state) {
+    const mapping = this.mapping.mappings[controlName];
+
+    if (!mapping?.feedback) {
+      return null;
+    }
+
+    return this._buildFeedbackOutput(mapping, state);
+  }
+
+  /**
+   * Build HID output config from a mapping's feedback config
+   * @private
+   */
+  _buildFeedbackOutput(mapping, state) {
+    const feedbackConfig = mapping.feedback;
+
+    if (!feedbackConfig.hidOut) {
+      return null;
+    }
+
+    if (feedbackConfig.type === 'led') {
+      let value = feedbackConfig.stateMap?.[state];
+
+      if (value === undefined) {
+        value = typeof state === 'number' ? state : DEFAULT_LED_STATE_MAP[state];
+      }
+
+      // Unmapped states (e.g. raw values like 'false' without a stateMap entry) are off
+      if (value === undefined) {
+        value = 0;
       }
+
+      // Return HID output configuration
+      return {
+        type: 'led',
+        reportId: feedbackConfig.hidOut.reportId,
+        byte: feedbackConfig.hidOut.byte,
+        bit: feedbackConfig.hidOut.bit,
+        state: state,
+        value: value
+      };
+    } else if (feedbackConfig.type === 'display') {
+      // Display output
+      return {
+        type: 'display',
+        reportId: feedbackConfig.hidOut.reportId,
+        data: state // State should contain display text/data
+      };
     }
 
     return null;
   }
 
+  /**
+   * Apply soft takeover to an absolute control's action
+   * @private
+   * @returns {boolean} False if the move must be suppressed
+   */
+  _applySoftTakeover(control, action) {
+    const config = this.softTakeover.get(control);
+
+    if (!config || !this.getEngineState || typeof action.value !== 'number') {
+      return true;
+    }
+
+    // Side-relative paths follow the deck layer; a new path re-arms takeover
+    const segments = this.deckLayers.resolveStateSegments(config.segments);
+    const engineValue = resolveStatePath(this.getEngineState(), segments);
+    const value = this.softTakeover.process(control, action.value, engineValue, segments.join('.'));
+
+    if (value === null) {
+      if (process.env.DEBUG === 'true') {
+        logger.debug('Soft takeover: waiting for pickup', {
+          device: this.deviceName,
+          control,
+          hardware: action.value,
+          engine: engineValue
+        });
+      }
+
+      return false;
+    }
+
+    action.value = value;
+
+    return true;
+  }
+
+  /**
+   * Switch the deck a controller side drives (layer.selectDeck), on press only
+   * @private
+   * @returns {object|null} Local action with the new assignment (not routed to the engine), or null on release
+   */
+  _buildDeckSelectAction(event, mapping, control, pressed) {
+    if (!pressed) {
+      return null;
+    }
+
+    const side = mapping.action.side;
+    const changed = this.deckLayers.select(side, mapping.action.deck);
+    const deck = this.deckLayers.resolve(side);
+
+    logger.info('Deck layer changed', { device: this.deviceName, side, deck });
+
+    return {
+      type: 'layer',
+      command: SELECT_DECK_COMMAND,
+      target: 'local',
+      priority: 'high',
+      timestamp: event.timestamp,
+      deviceId: event.deviceId,
+      control,
+      side,
+      deck,
+      changed
+    };
+  }
+
+  /**
+   * Get which deck each controller side currently drives
+   * @returns {object} Side -> deck (e.g., { left: 'C', right: 'B' })
+   */
+  getDeckAssignment() {
+    return this.deckLayers.getAssignment();
+  }
+
+  /**
+   * Map a built-in feedback control (e.g., 'play_c') to the control showing that deck
+   * @param {string} controlId - Control id
+   * @returns {string|null} Control id, or null if the deck isn't selected on any side
+   */
+  resolveFeedbackControl(controlId) {
+    return this.deckLayers.resolveControlId(controlId);
+  }
+
+  /**
+   * Resolve a binding's state path for the current deck assignment ('left.loop' -> 'deckC.loop')
+   * @param {object} binding - Feedback binding
+   * @returns {Array<string|number>} State path segments
+   */
+  resolveBindingSegments(binding) {
+    return this.deckLayers.resolveStateSegments(binding.segments);
+  }
+
+  /**
+   * Get declarative feedback bindings
+   * @returns {Array<object>} { controlId, path, segments, transform, condition }
+   */
+  getFeedbackBindings() {
+    return this.feedbackBindings;
+  }
+
+  /**
+   * Check if a control's feedback is driven by a state binding
+   * @param {string} controlId - Mapping key
+   * @returns {boolean} True if bound
+   */
+  hasFeedbackBinding(controlId) {
+    return this.feedbackBindings.some(binding => binding.controlId === controlId);
+  }
+
+  /**
+   * Check if a binding drives its LED with the current modifier state
+   * @param {object} binding - Feedback binding
+   * @returns {boolean} True if the binding should be sent
+   */
+  isBindingActive(binding) {
+    return !binding.condition || this._evaluateCondition(binding.condition);
+  }
+
+  /**
+   * Build feedback bindings from mappings with a feedback.state path
+   * @private
+   */
+  _buildFeedbackBindings() {
+    const bindings = [];
+
+    for (const [key, mapping] of Object.entries(this.mapping.mappings)) {
+      if (!mapping.feedback?.state) continue;
+
+      bindings.push({
+        controlId: key,
+        path: mapping.feedback.state,
+        segments: parseStatePath(mapping.feedback.state),
+        transform: mapping.feedback.transform || 'boolean',
+        condition: mapping.condition
+      });
+    }
+
+    return bindings;
+  }
+
   /**
    * Build lookup table for fast control name resolution
    * @private
@@ -166,12 +689,20 @@ export class HIDTranslator {
       priority: mapping.action.priority || 'normal',
       timestamp: hidEvent.timestamp,
       deviceId: hidEvent.deviceId,
-      from: this.deviceName
+      from: this.deviceName,
+      control: hidEvent.control
     };
 
-    // Add deck if specified
+    // Add deck if specified (sides resolve to the selected deck)
     if (mapping.action.deck) {
-      action.deck = mapping.action.deck;
+      action.deck = this.deckLayers.resolve(mapping.action.deck);
+    }
+
+    // Engine command parameters (bus, enabled, band, ...); "mode" of jog deltas is an expression
+    const params = getCommandParams(mapping.action, controlConfig.type === 'delta' ? ['mode'] : []);
+
+    if (params) {
+      action.params = params;
     }
 
     // Handle value/delta based on control type
@@ -199,6 +730,16 @@ export class HIDTranslator {
 
       action.value = (hidEvent.value - min) / (max - min);
       action.rawValue = hidEvent.value;
+
+      // Shape the normalized position with the mapping's response curve
+      const curve = this.curves.get(hidEvent.control);
+
+      if (curve) {
+        action.value = curve(action.value);
+      }
+
+      // The router keeps only the latest queued position
+      action.continuous = true;
     } else if (controlConfig.type === 'encoder') {
       // Rotary encoder - detect direction
       action.delta = hidEvent.delta;
@@ -233,19 +774,14 @@ export class HIDTranslator {
   _evaluateExpression(expression, hidEvent, controlConfig) {
     // Context for expression evaluation
     const context = {
-      value: hidEvent.value,
-      delta: hidEvent.delta,
+      ...this.modifierState, // Expose modifier states directly
       state: this.modifierState,
-      ...this.modifierState // Expose modifier states directly
+      value: hidEvent.value,
+      delta: hidEvent.delta
     };
 
     try {
-      // Create function with context variables
-      const paramNames = Object.keys(context);
-      const paramValues = Object.values(context);
-
-      const fn = new Function(...paramNames, `return ${expression}`);
-      return fn(...paramValues);
+      return this.expressions.get(expression).evaluate(context);
     } catch (error) {
       logger.warn('Failed to evaluate expression', {
         expression,
@@ -262,16 +798,12 @@ export class HIDTranslator {
   _evaluateCondition(condition) {
     // Context includes modifier state
     const context = {
-      state: this.modifierState,
-      ...this.modifierState
+      ...this.modifierState,
+      state: this.modifierState
     };
 
     try {
-      const paramNames = Object.keys(context);
-      const paramValues = Object.values(context);
-
-      const fn = new Function(...paramNames, `return ${condition}`);
-      return fn(...paramValues);
+      return Boolean(this.expressions.get(condition).evaluate(context));
     } catch (error) {
       logger.warn('Failed to evaluate condition', {
         condition,
@@ -1,19 +1,102 @@
 import { logger } from '../utils/logger.js';
+import { parseStatePath, resolveStatePath } from '../feedback/stateBindings.js';
+import { compileMappingExpressions } from '../utils/expression.js';
+import { DeckLayers, SELECT_DECK_COMMAND } from './deckLayers.js';
+import { SoftTakeover } from './softTakeover.js';
+import { GestureRecognizer, parseGesture } from './gestures.js';
+import { parseEncoding, decodeRelative, deltaToDirection } from './encoders.js';
+import { JogWheels, JOG_TOUCH_COMMAND, isJogCommand } from './jogWheels.js';
+import { compileMappingCurves } from './curves.js';
+import { MACRO_COMMAND, MACRO_CANCEL_COMMAND, buildMacroSteps } from '../mapping/macros.js';
+import { getCommandParams } from '../mapping/commandParams.js';
+import { ToggleTracker, TOGGLE_TYPE, MOMENTARY_TYPE, isLatchingAction } from './toggles.js';
+import { isParameterType } from '../managers/parameters.js';
+
+// LED velocities used when a feedback block has no stateMap (e.g. { "led": true })
+const DEFAULT_LED_STATE_MAP = {
+  playing: 127,
+  cued: 127,
+  locked: 127,
+  enabled: 127,
+  on: 127,
+  stopped: 0,
+  disabled: 0,
+  off: 0
+};
+
+// Local action sent when a modifier changes, so layered feedback bindings can follow
+export const MODIFIER_CHANGE_COMMAND = 'modifier.change';
 
 /**
  * Translates raw MIDI events into semantic actions
  *
+ * Supports modifier layers (shift, deck-select, pad-mode) declared in the
+ * mapping's "modifiers" section. Several mappings may share a MIDI address;
+ * the first whose "condition" holds for the current modifier state wins,
+ * falling back to the unconditional mapping.
+ *
+ * Actions may target a controller side ("deck": "left") instead of a fixed deck;
+ * see deckLayers.js. Buttons may map separate actions to gestures (long press,
+ * double tap, hold-repeat); see gestures.js.
+ *
+ * NRPN/RPN mappings use { "type": "nrpn", "channel": 0, "parameter": 1234 };
+ * see parameters.js.
+ *
  * Example:
  * Input:  { type: 'noteon', channel: 0, note: 0x10, velocity: 127 }
  * Output: { action: 'play', deck: 'A', value: true, target: 'audio', priority: 'high' }
  */
 export class MIDITranslator {
-  constructor(mapping) {
+  /**
+   * @param {object} mapping - Device mapping
+   * @param {object} [options]
+   * @param {function(): object} [options.getState] - Engine state cache (for soft takeover)
+   * @param {function(object): void} [options.onAction] - Receives actions from timed gestures (long press, hold-repeat)
+   */
+  constructor(mapping, options = {}) {
     this.mapping = mapping;
     this.deviceName = mapping?.device?.name || 'Unknown';
 
-    // Build reverse lookup: MIDI event -> mapping key
+    // Parse mapping expressions once (throws with the mapping key if invalid)
+    this.expressions = compileMappingExpressions(mapping.mappings, 'midi');
+
+    // Track modifier control states (shift, deck select, pad mode)
+    this.modifierTable = this._buildModifierTable();
+    this.modifierState = this._getDefaultModifierState();
+
+    // Which deck each controller side drives
+    this.deckLayers = new DeckLayers(mapping.decks);
+
+    // Soft takeover for absolute faders/knobs (engine value from the state cache)
+    this.softTakeover = new SoftTakeover(mapping.mappings);
+    this.getEngineState = options.getState || null;
+
+    // Toggle buttons (current state from the state cache)
+    this.toggles = new ToggleTracker(mapping.mappings);
+
+    // Button gestures (long press, double tap, hold-repeat)
+    this.onAction = options.onAction || null;
+    this.gestures = new GestureRecognizer((button, gesture) => this._emitTimedGesture(button, gesture));
+
+    // Jog wheels (scratch, bend); their actions are delivered through onAction
+    this.jogWheels = new JogWheels(mapping.jogWheels, {
+      deckLayers: this.deckLayers,
+      getState: () => this.getEngineState?.(),
+      emit: action => this.onAction?.(action)
+    });
+
+    // Relative encoders (mapping key -> parsed encoding)
+    this.encodings = this._buildEncodingTable();
+
+    // Fader/knob response curves (mapping key -> response function)
+    this.curves = compileMappingCurves(mapping.mappings);
+
+    // Build reverse lookup: MIDI event -> mapping keys
     this.lookupTable = this._buildLookupTable();
+    this.gestureTable = this._buildGestureTable();
+
+    // Declarative state -> control feedback bindings
+    this.feedbackBindings = this._buildFeedbackBindings();
   }
 
   /**
@@ -23,7 +106,23 @@ export class MIDITranslator {
    */
   translate(midiEvent) {
     const key = this._createLookupKey(midiEvent);
-    const mappingKey = this.lookupTable.get(key);
+
+    // Update modifier state if this is a modifier control
+    const modifierChange = this._updateModifierState(key, midiEvent);
+
+    if (modifierChange && !this.lookupTable.has(key)) {
+      // Don't emit an engine action for modifier changes (unless explicitly mapped)
+      return modifierChange.changed ? this._buildModifierAction(midiEvent, modifierChange.name) : null;
+    }
+
+    // Buttons with gesture mappings are resolved per gesture
+    const gestureEntry = this.gestureTable.get(key);
+
+    if (gestureEntry) {
+      return this._translateGesture(gestureEntry, midiEvent);
+    }
+
+    const mappingKey = this._resolveMappingKey(key);
 
     if (!mappingKey) {
       // No mapping found for this MIDI event
@@ -42,7 +141,36 @@ export class MIDITranslator {
     const mapping = this.mapping.mappings[mappingKey];
 
     try {
-      const action = this._buildAction(midiEvent, mapping);
+      if (mapping.action.command === SELECT_DECK_COMMAND) {
+        const pressed = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+        return this._buildDeckSelectAction(midiEvent, mapping, mappingKey, pressed);
+      }
+
+      if (isJogCommand(mapping.action.command)) {
+        this._feedJog(midiEvent, mapping, mappingKey);
+        return null;
+      }
+
+      if (mapping.action.command === MACRO_COMMAND) {
+        const pressed = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+        return this._buildMacroAction(midiEvent, mapping, mappingKey, pressed);
+      }
+
+      if (isLatchingAction(mapping.action)) {
+        const pressed = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+        return this._buildLatchingAction(midiEvent, mapping, mappingKey, pressed);
+      }
+
+      const action = this._buildAction(midiEvent, mapping, mappingKey);
+
+      if (!action) {
+        // Encoder message without movement (centre value, note-pair release)
+        return null;
+      }
+
+      if (action.continuous && !this._applySoftTakeover(mappingKey, action)) {
+        return null;
+      }
 
       logger.info('[TRANSLATE] MIDI -> Action', {
         device: this.deviceName,
@@ -83,37 +211,234 @@ export class MIDITranslator {
    */
   actionToMIDI(action, state) {
     // Find mapping that matches this action
-    for (const [key, mapping] of Object.entries(this.mapping.mappings)) {
-      if (!mapping.feedback) continue;
+    for (const mapping of Object.values(this.mapping.mappings)) {
+      if (!mapping.feedback || !mapping.action) continue;
 
       // Check if action matches this mapping
       if (this._actionMatches(action, mapping.action)) {
-        const feedbackConfig = mapping.feedback;
-
-        if (feedbackConfig.type === 'led' && feedbackConfig.midiOut) {
-          // Map state to MIDI value
-          let value = feedbackConfig.stateMap?.[state];
-
-          if (value === undefined) {
-            // Default: binary on/off
-            value = state ? 127 : 0;
-          }
-
-          return {
-            type: feedbackConfig.midiOut.type,
-            channel: feedbackConfig.midiOut.channel,
-            note: feedbackConfig.midiOut.note,
-            controller: feedbackConfig.midiOut.controller,
-            velocity: value,
-            value: value
-          };
-        }
+        return this._buildFeedbackMessage(mapping, state);
       }
     }
 
     return null;
   }
 
+  /**
+   * Translate a mapping key to MIDI message (for feedback)
+   * @param {string} mappingKey - Mapping key (e.g., 'play_a')
+   * @param {string} state - State value (e.g., 'playing', 'stopped')
+   * @returns {object|null} MIDI message or null
+   */
+  controlToMIDI(mappingKey, state) {
+    const mapping = this.mapping.mappings[mappingKey];
+
+    if (!mapping?.feedback) {
+      return null;
+    }
+
+    return this._buildFeedbackMessage(mapping, state);
+  }
+
+  /**
+   * Build feedback MIDI message from a mapping's feedback config
+   * Shorthand { "led": true } echoes the LED on the control's own MIDI address
+   * @private
+   */
+  _buildFeedbackMessage(mapping, state) {
+    const feedbackConfig = mapping.feedback;
+    const isLED = feedbackConfig.type === 'led' || feedbackConfig.led === true;
+    const midiOut = feedbackConfig.midiOut || (feedbackConfig.led === true ? mapping.midi : null);
+
+    if (!isLED || !midiOut) {
+      return null;
+    }
+
+    // Map state to MIDI value
+    let value = feedbackConfig.stateMap?.[state];
+
+    if (value === undefined) {
+      value = typeof state === 'number' ? state : DEFAULT_LED_STATE_MAP[state];
+    }
+
+    if (value === undefined) {
+      // Unmapped states (e.g. raw values like 'false' without a stateMap entry) are off
+      value = 0;
+    }
+
+    return {
+      type: midiOut.type,
+      channel: midiOut.channel,
+      note: midiOut.note,
+      controller: midiOut.controller,
+      parameter: midiOut.parameter,
+      // NRPN/RPN feedback sends 14-bit values only if the address asks for it
+      highRes: midiOut.highRes === true,
+      velocity: value,
+      value: value
+    };
+  }
+
+  /**
+   * Apply soft takeover to an absolute control's action
+   * @private
+   * @returns {boolean} False if the move must be suppressed
+   */
+  _applySoftTakeover(control, action) {
+    const config = this.softTakeover.get(control);
+
+    if (!config || !this.getEngineState || typeof action.value !== 'number') {
+      return true;
+    }
+
+    // Side-relative paths follow the deck layer; a new path re-arms takeover
+    const segments = this.deckLayers.resolveStateSegments(config.segments);
+    const engineValue = resolveStatePath(this.getEngineState(), segments);
+    const value = this.softTakeover.process(control, action.value, engineValue, segments.join('.'));
+
+    if (value === null) {
+      if (process.env.DEBUG === 'true') {
+        logger.debug('Soft takeover: waiting for pickup', {
+          device: this.deviceName,
+          control,
+          hardware: action.value,
+          engine: engineValue
+        });
+      }
+
+      return false;
+    }
+
+    action.value = value;
+
+    return true;
+  }
+
+  /**
+   * Switch the deck a controller side drives (layer.selectDeck), on press only
+   * @private
+   * @returns {object|null} Local action with the new assignment (not routed to the engine), or null on release
+   */
+  _buildDeckSelectAction(event, mapping, control, pressed) {
+    if (!pressed) {
+      return null;
+    }
+
+    const side = mapping.action.side;
+    const changed = this.deckLayers.select(side, mapping.action.deck);
+    const deck = this.deckLayers.resolve(side);
+
+    logger.info('Deck layer changed', { device: this.deviceName, side, deck });
+
+    return {
+      type: 'layer',
+      command: SELECT_DECK_COMMAND,
+      target: 'local',
+      priority: 'high',
+      timestamp: event.timestamp,
+      deviceId: event.deviceId,
+      control,
+      side,
+      deck,
+      changed
+    };
+  }
+
+  /**
+   * Get which deck each controller side currently drives
+   * @returns {object} Side -> deck (e.g., { left: 'C', right: 'B' })
+   */
+  getDeckAssignment() {
+    return this.deckLayers.getAssignment();
+  }
+
+  /**
+   * Map a built-in feedback control (e.g., 'play_c') to the control showing that deck
+   * @param {string} controlId - Control id
+   * @returns {string|null} Control id, or null if the deck isn't selected on any side
+   */
+  resolveFeedbackControl(controlId) {
+    return this.deckLayers.resolveControlId(controlId);
+  }
+
+  /**
+   * Resolve a binding's state path for the current deck assignment ('left.loop' -> 'deckC.loop')
+   * @param {object} binding - Feedback binding
+   * @returns {Array<string|number>} State path segments
+   */
+  resolveBindingSegments(binding) {
+    return this.deckLayers.resolveStateSegments(binding.segments);
+  }
+
+  /**
+   * Get declarative feedback bindings
+   * @returns {Array<object>} { controlId, path, segments, transform, condition }
+   */
+  getFeedbackBindings() {
+    return this.feedbackBindings;
+  }
+
+  /**
+   * Check if a control's feedback is driven by a state binding
+   * @param {string} controlId - Mapping key
+   * @returns {boolean} True if bound
+   */
+  hasFeedbackBinding(controlId) {
+    return this.feedbackBindings.some(binding => binding.controlId === controlId);
+  }
+
+  /**
+   * Check if a binding drives its LED in the current modifier layer
+   * A layered mapping's binding only applies while its condition holds (e.g., its pad mode is active).
+   * @param {object} binding - Feedback binding
+   * @returns {boolean} True if the binding should be sent
+   */
+  isBindingActive(binding) {
+    return !binding.condition || this._evaluateCondition(binding.condition);
+  }
+
+  /**
+   * Build feedback bindings from mappings with a feedback.state path
+   * @private
+   */
+  _buildFeedbackBindings() {
+    const bindings = [];
+
+    for (const [key, mapping] of Object.entries(this.mapping.mappings)) {
+      if (!mapping.feedback?.state) continue;
+
+      bindings.push({
+        controlId: key,
+        path: mapping.feedback.state,
+        segments: parseStatePath(mapping.feedback.state),
+        transform: mapping.feedback.transform || 'boolean',
+        condition: mapping.condition
+      });
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Parse relative encoder encodings
+   * @private
+   * @returns {Map<string, object>} Mapping key -> { type, decrement? }
+   */
+  _buildEncodingTable() {
+    const table = new Map();
+
+    for (const [key, mapping] of Object.entries(this.mapping.mappings)) {
+      if (mapping?.encoding === undefined) continue;
+
+      try {
+        table.set(key, parseEncoding(mapping.encoding));
+      } catch (error) {
+        throw new Error(`Mapping "${key}": ${error.message}`);
+      }
+    }
+
+    return table;
+  }
+
   /**
    * Build lookup table for fast MIDI event to mapping resolution
    * @private
@@ -125,7 +450,43 @@ export class MIDITranslator {
       if (!mapping.midi) continue;
 
       const lookupKey = this._createLookupKeyFromConfig(mapping.midi);
-      table.set(lookupKey, key);
+
+      if (!table.has(lookupKey)) {
+        table.set(lookupKey, []);
+      }
+
+      table.get(lookupKey).push(key);
+
+      // Platter touch sensors, macro and momentary buttons act on release, which may come as noteoff
+      const actsOnRelease = [JOG_TOUCH_COMMAND, MACRO_COMMAND].includes(mapping.action?.command) ||
+        mapping.action?.type === MOMENTARY_TYPE;
+
+      if (actsOnRelease && mapping.midi.type === 'noteon') {
+        const releaseKey = this._createLookupKeyFromConfig({ ...mapping.midi, type: 'noteoff' });
+
+        if (!table.has(releaseKey)) {
+          table.set(releaseKey, []);
+        }
+
+        table.get(releaseKey).push(key);
+      }
+
+      // Note-pair encoders also listen on their decrement note
+      const encoding = this.encodings.get(key);
+
+      if (encoding?.type === 'notePair') {
+        const decrementKey = this._createLookupKeyFromConfig({
+          type: 'noteon',
+          channel: mapping.midi.channel,
+          ...encoding.decrement
+        });
+
+        if (!table.has(decrementKey)) {
+          table.set(decrementKey, []);
+        }
+
+        table.get(decrementKey).push(key);
+      }
     }
 
     logger.debug(`Built lookup table for ${this.deviceName}`, {
@@ -135,6 +496,364 @@ export class MIDITranslator {
     return table;
   }
 
+  /**
+   * Resolve mapping key for a lookup key using the current modifier layer
+   * @private
+   * @returns {string|undefined} Mapping key
+   */
+  _resolveMappingKey(lookupKey) {
+    return this._selectMappingKey(this.lookupTable.get(lookupKey));
+  }
+
+  /**
+   * Pick the mapping key whose condition holds, falling back to the unconditional one
+   * @private
+   * @param {Array<string>|undefined} candidates - Mapping keys sharing an address
+   * @returns {string|undefined} Mapping key
+   */
+  _selectMappingKey(candidates) {
+    if (!candidates) {
+      return undefined;
+    }
+
+    // Layered mappings: first condition that holds wins
+    const layered = candidates.find(key => {
+      const condition = this.mapping.mappings[key].condition;
+      return condition && this._evaluateCondition(condition);
+    });
+
+    if (layered) {
+      return layered;
+    }
+
+    // Fall back to base layer
+    return candidates.find(key => !this.mapping.mappings[key].condition);
+  }
+
+  /**
+   * Build lookup table for buttons with gesture mappings
+   * Both the press and release addresses point at the same entry.
+   * @private
+   * @returns {Map<string, object>} Lookup key -> { button, keysByGesture, gestures, lastEvent }
+   */
+  _buildGestureTable() {
+    const table = new Map();
+
+    for (const [lookupKey, keys] of this.lookupTable) {
+      if (!keys.some(key => this.mapping.mappings[key].gesture !== undefined)) continue;
+
+      const entry = { button: lookupKey, keysByGesture: {}, gestures: {}, lastEvent: null };
+
+      for (const key of keys) {
+        const gesture = parseGesture(this.mapping.mappings[key].gesture);
+
+        (entry.keysByGesture[gesture.type] ||= []).push(key);
+
+        if (!entry.gestures[gesture.type]) {
+          entry.gestures[gesture.type] = gesture;
+        }
+      }
+
+      table.set(lookupKey, entry);
+
+      // Buttons may release with noteoff instead of noteon velocity 0
+      if (lookupKey.startsWith('noteon:')) {
+        table.set(lookupKey.replace('noteon:', 'noteoff:'), entry);
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Feed a button edge to the gesture recognizer
+   * @private
+   * @returns {object|null} Action for a gesture recognized on this edge, or null
+   */
+  _translateGesture(entry, midiEvent) {
+    const pressed = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+
+    entry.lastEvent = midiEvent;
+
+    const gesture = this.gestures.handle(entry.button, pressed, entry.gestures);
+
+    return gesture ? this._buildGestureAction(entry, gesture, midiEvent) : null;
+  }
+
+  /**
+   * Deliver a long-press / hold-repeat action through onAction
+   * @private
+   */
+  _emitTimedGesture(button, gesture) {
+    const entry = this.gestureTable.get(button);
+
+    if (!entry?.lastEvent || !this.onAction) {
+      return;
+    }
+
+    const action = this._buildGestureAction(entry, gesture, { ...entry.lastEvent, timestamp: Date.now() });
+
+    if (action) {
+      this.onAction(action);
+    }
+  }
+
+  /**
+   * Build the action mapped to a gesture (honouring modifier conditions)
+   * @private
+   */
+  _buildGestureAction(entry, gesture, midiEvent) {
+    const mappingKey = this._selectMappingKey(entry.keysByGesture[gesture]);
+
+    if (!mappingKey) {
+      return null;
+    }
+
+    const mapping = this.mapping.mappings[mappingKey];
+
+    try {
+      if (mapping.action.command === SELECT_DECK_COMMAND) {
+        return this._buildDeckSelectAction(midiEvent, mapping, mappingKey, true);
+      }
+
+      const action = isLatchingAction(mapping.action)
+        ? this._buildLatchingAction(midiEvent, mapping, mappingKey, true)
+        : this._buildAction(midiEvent, mapping, mappingKey);
+      action.gesture = gesture;
+      action.continuous = false;
+
+      if (mapping.action.command === MACRO_COMMAND) {
+        action.steps = buildMacroSteps(mapping.action.steps, action, deck => this.deckLayers.resolve(deck));
+      }
+
+      logger.info('[TRANSLATE] MIDI gesture -> Action', {
+        device: this.deviceName,
+        gesture,
+        action: {
+          type: action.type,
+          command: action.command,
+          target: action.target,
+          deck: action.deck,
+          value: action.value,
+          priority: action.priority
+        }
+      });
+
+      return action;
+    } catch (error) {
+      logger.error('Failed to translate MIDI gesture', {
+        device: this.deviceName,
+        mappingKey,
+        gesture,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Cancel pending gesture and jog timers (translator replaced or device removed)
+   */
+  dispose() {
+    this.gestures.reset();
+    this.jogWheels.reset();
+    this.toggles.reset();
+  }
+
+  /**
+   * Build a toggle (press: inverse of the engine state) or momentary (press: on, release: off) action
+   * @private
+   */
+  _buildLatchingAction(midiEvent, mapping, mappingKey, pressed) {
+    let on = pressed;
+
+    if (mapping.action.type === TOGGLE_TYPE) {
+      if (!pressed) {
+        return null;
+      }
+
+      on = this.toggles.next(mappingKey, this._readToggleState(mappingKey));
+    }
+
+    const action = this._buildAction(midiEvent, mapping, mappingKey);
+    delete action.type;
+    action.value = on;
+    action.continuous = false;
+
+    if (mapping.action.valueField) {
+      action.params = { ...action.params, [mapping.action.valueField]: on };
+    }
+
+    return action;
+  }
+
+  /**
+   * Read a toggle's current engine state (side-relative paths follow the deck layer)
+   * @private
+   */
+  _readToggleState(control) {
+    const config = this.toggles.get(control);
+
+    if (!config || !this.getEngineState) {
+      return undefined;
+    }
+
+    return resolveStatePath(this.getEngineState(), this.deckLayers.resolveStateSegments(config.segments));
+  }
+
+  /**
+   * Build a macro action on press, or its cancellation on release
+   * @private
+   */
+  _buildMacroAction(midiEvent, mapping, mappingKey, pressed) {
+    const action = this._buildAction(midiEvent, mapping, mappingKey);
+    action.continuous = false;
+
+    if (!pressed) {
+      return mapping.action.cancelOnRelease === false
+        ? null
+        : { ...action, command: MACRO_CANCEL_COMMAND };
+    }
+
+    action.steps = buildMacroSteps(mapping.action.steps, action, deck => this.deckLayers.resolve(deck));
+
+    return action;
+  }
+
+  /**
+   * Pass jog rotation (decoded by the mapping's encoding) or platter touch to the jog wheel
+   * @private
+   */
+  _feedJog(midiEvent, mapping, mappingKey) {
+    const source = { control: mappingKey, deviceId: midiEvent.deviceId };
+
+    if (mapping.action.command === JOG_TOUCH_COMMAND) {
+      const touched = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+      this.jogWheels.touch(mapping.action.jog, touched, source);
+      return;
+    }
+
+    const action = this._buildAction(midiEvent, mapping, mappingKey);
+
+    if (action?.delta) {
+      this.jogWheels.turn(mapping.action.jog, action.delta, source);
+    }
+  }
+
+  /**
+   * Build lookup table for modifier controls
+   *
+   * Modes:
+   * - momentary: true while held (shift)
+   * - toggle: flips on each press (deck select)
+   * - select: takes the value of the last pressed button (pad mode)
+   * @private
+   */
+  _buildModifierTable() {
+    const table = new Map();
+
+    for (const [name, modifier] of Object.entries(this.mapping.modifiers || {})) {
+      if (name.startsWith('_')) continue;
+
+      const addresses = modifier.mode === 'select'
+        ? Object.entries(modifier.values || {}).map(([value, midi]) => ({ midi, value }))
+        : [{ midi: modifier.midi, value: true }];
+
+      for (const { midi, value } of addresses) {
+        if (!midi) continue;
+
+        const entry = { name, mode: modifier.mode || 'momentary', value };
+
+        table.set(this._createLookupKeyFromConfig(midi), entry);
+
+        // Buttons may release with noteoff instead of noteon velocity 0
+        if (midi.type === 'noteon') {
+          table.set(this._createLookupKeyFromConfig({ ...midi, type: 'noteoff' }), entry);
+        }
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Get initial modifier state from mapping defaults
+   * @private
+   */
+  _getDefaultModifierState() {
+    const state = {};
+
+    for (const [name, modifier] of Object.entries(this.mapping.modifiers || {})) {
+      if (name.startsWith('_')) continue;
+
+      if (modifier.default !== undefined) {
+        state[name] = modifier.default;
+      } else {
+        state[name] = modifier.mode === 'select' ? null : false;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Update modifier state from a MIDI event
+   * @private
+   * @returns {object|null} { name, changed } if the event belongs to a modifier control
+   */
+  _updateModifierState(lookupKey, midiEvent) {
+    const modifier = this.modifierTable.get(lookupKey);
+
+    if (!modifier) {
+      return null;
+    }
+
+    const previous = this.modifierState[modifier.name];
+    const pressed = midiEvent.type !== 'noteoff' && (midiEvent.velocity || midiEvent.value || 0) > 0;
+
+    if (modifier.mode === 'toggle') {
+      if (pressed) {
+        this.modifierState[modifier.name] = !this.modifierState[modifier.name];
+      }
+    } else if (modifier.mode === 'select') {
+      if (pressed) {
+        this.modifierState[modifier.name] = modifier.value;
+      }
+    } else {
+      this.modifierState[modifier.name] = pressed;
+    }
+
+    if (process.env.DEBUG === 'true') {
+      logger.debug('Modifier state changed', {
+        device: this.deviceName,
+        modifier: modifier.name,
+        state: this.modifierState[modifier.name]
+      });
+    }
+
+    return { name: modifier.name, changed: this.modifierState[modifier.name] !== previous };
+  }
+
+  /**
+   * Report a modifier change (e.g., a new pad mode)
+   * @private
+   * @returns {object} Local action with the new modifier value (not routed to the engine)
+   */
+  _buildModifierAction(event, name) {
+    return {
+      type: 'modifier',
+      command: MODIFIER_CHANGE_COMMAND,
+      target: 'local',
+      priority: 'high',
+      timestamp: event.timestamp,
+      deviceId: event.deviceId,
+      control: name,
+      modifier: name,
+      value: this.modifierState[name],
+      layered: this.feedbackBindings.some(binding => binding.condition)
+    };
+  }
+
   /**
    * Create lookup key from MIDI event
    * @private
@@ -146,6 +865,8 @@ export class MIDITranslator {
       parts.push('note', midiEvent.note);
     } else if (midiEvent.controller !== undefined) {
       parts.push('cc', midiEvent.controller);
+    } else if (midiEvent.parameter !== undefined) {
+      parts.push('param', midiEvent.parameter);
     }
 
     return parts.join(':');
@@ -162,6 +883,8 @@ export class MIDITranslator {
       parts.push('note', midiConfig.note);
     } else if (midiConfig.controller !== undefined) {
       parts.push('cc', midiConfig.controller);
+    } else if (midiConfig.parameter !== undefined) {
+      parts.push('param', midiConfig.parameter);
     }
 
     return parts.join(':');
@@ -171,19 +894,38 @@ export class MIDITranslator {
    * Build action object from MIDI event and mapping
    * @private
    */
-  _buildAction(midiEvent, mapping) {
+  _buildAction(midiEvent, mapping, mappingKey) {
     const action = {
       type: mapping.action.type,
       command: mapping.action.command,
       target: mapping.target,
       priority: mapping.priority,
       timestamp: midiEvent.timestamp,
-      deviceId: midiEvent.deviceId
+      deviceId: midiEvent.deviceId,
+      control: mappingKey
     };
 
-    // Add deck if specified
+    // Faders/knobs send absolute positions; the router keeps only the latest queued one
+    action.continuous = (midiEvent.type === 'cc' || midiEvent.type === 'pitch' || isParameterType(midiEvent.type)) &&
+      mapping.action.value === undefined;
+
+    // Add deck if specified (sides resolve to the selected deck)
     if (mapping.action.deck) {
-      action.deck = mapping.action.deck;
+      action.deck = this.deckLayers.resolve(mapping.action.deck);
+    }
+
+    // Engine command parameters (bus, enabled, band, ...)
+    const params = getCommandParams(mapping.action);
+
+    if (params) {
+      action.params = params;
+    }
+
+    // Relative encoders report steps, not a position
+    const encoding = this.encodings.get(mappingKey);
+
+    if (encoding) {
+      return this._buildEncoderAction(midiEvent, mapping, encoding, action);
     }
 
     // Add value/delta based on mapping
@@ -195,8 +937,8 @@ export class MIDITranslator {
       action.value = this._evaluateExpression(mapping.action.valueExpression, midiEvent);
     } else {
       // Use raw MIDI value or normalized 14-bit value
-      if (midiEvent.highRes && midiEvent.normalized !== undefined) {
-        // Use pre-normalized 14-bit value (0.0 - 1.0)
+      if (midiEvent.normalized !== undefined) {
+        // Use pre-normalized 14-bit CC or NRPN/RPN value (0.0 - 1.0)
         action.value = midiEvent.normalized;
       } else {
         // Standard 7-bit MIDI (normalize to 0.0 - 1.0 for faders)
@@ -208,6 +950,13 @@ export class MIDITranslator {
           action.value = rawValue;
         }
       }
+
+      // Shape the normalized position with the mapping's response curve
+      const curve = this.curves.get(mappingKey);
+
+      if (curve && (midiEvent.type === 'cc' || isParameterType(midiEvent.type))) {
+        action.value = curve(action.value);
+      }
     }
 
     // Handle special cases
@@ -225,20 +974,66 @@ export class MIDITranslator {
   }
 
   /**
-   * Evaluate simple expression with MIDI event values
+   * Fill in delta/direction for a relative encoder
+   * @private
+   * @returns {object|null} Action, or null if the message carries no movement
+   */
+  _buildEncoderAction(midiEvent, mapping, encoding, action) {
+    let delta;
+
+    if (encoding.type === 'notePair') {
+      // Only presses step; releases carry no movement
+      if (midiEvent.type === 'noteoff' || !midiEvent.velocity) {
+        return null;
+      }
+
+      const { channel = mapping.midi.channel, note } = encoding.decrement;
+      const isDecrement = midiEvent.note === note && midiEvent.channel === channel;
+      delta = isDecrement ? -1 : 1;
+    } else {
+      delta = decodeRelative(encoding.type, midiEvent.value);
+    }
+
+    if (delta === 0) {
+      return null;
+    }
+
+    action.continuous = false;
+    action.delta = delta;
+    action.direction = mapping.action.direction
+      ? this._evaluateExpression(mapping.action.direction, midiEvent, { delta })
+      : deltaToDirection(delta);
+
+    if (mapping.action.value !== undefined) {
+      action.value = mapping.action.value;
+    } else if (mapping.action.valueExpression) {
+      action.value = this._evaluateExpression(mapping.action.valueExpression, midiEvent, { delta });
+    }
+
+    return action;
+  }
+
+  /**
+   * Evaluate mapping expression with MIDI event values
    * @private
+   * @param {object} [extra] - Additional context variables (e.g. decoded encoder delta)
    */
-  _evaluateExpression(expression, midiEvent) {
-    // Simple expression evaluator
+  _evaluateExpression(expression, midiEvent, extra = {}) {
     // Supports: value > 64 ? 'down' : 'up'
     const value = midiEvent.value || midiEvent.velocity || 0;
     const velocity = midiEvent.velocity || 0;
 
+    // Context includes modifier state
+    const context = {
+      ...this.modifierState,
+      state: this.modifierState,
+      value,
+      velocity,
+      ...extra
+    };
+
     try {
-      // Use Function constructor for safe evaluation
-      // This is safer than eval() but still limited
-      const fn = new Function('value', 'velocity', `return ${expression}`);
-      return fn(value, velocity);
+      return this.expressions.get(expression).evaluate(context);
     } catch (error) {
       logger.warn('Failed to evaluate expression', {
         expression,
@@ -248,6 +1043,28 @@ export class MIDITranslator {
     }
   }
 
+  /**
+   * Evaluate condition for layered mappings
+   * @private
+   */
+  _evaluateCondition(condition) {
+    // Context includes modifier state
+    const context = {
+      ...this.modifierState,
+      state: this.modifierState
+    };
+
+    try {
+      return Boolean(this.expressions.get(condition).evaluate(context));
+    } catch (error) {
+      logger.warn('Failed to evaluate condition', {
+        condition,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Check if action matches mapping action config
    * @private
@@ -276,6 +1093,20 @@ export class MIDITranslator {
   getMapping() {
     return this.mapping;
   }
+
+  /**
+   * Get current modifier state
+   */
+  getModifierState() {
+    return { ...this.modifierState };
+  }
+
+  /**
+   * Reset modifier state (useful when device reconnects)
+   */
+  resetModifierState() {
+    this.modifierState = this._getDefaultModifierState();
+  }
 }
 
 export default MIDITranslator;
@@ -0,0 +1,187 @@
+/**
+ * Value response curves for faders and knobs
+ *
+ * A mapping's "curve" field shapes the normalized 0-1 position before it is sent:
+ *   "curve": "log"
+ *   "curve": { "type": "sCurve", "amount": 0.25 }
+ *   "curve": { "type": "table", "points": [[0, 0], [0.5, 0.8], [1, 1]] }
+ *   "curve": { "type": "linear", "invert": true, "detent": { "center": 0.5, "deadZone": 0.03 } }
+ *
+ * Order: invert -> center detent -> curve -> output range.
+ */
+
+export const CURVE_TYPES = ['linear', 'log', 'exp', 'sCurve', 'table'];
+
+const DEFAULT_AMOUNT = {
+  log: 9,
+  exp: 9,
+  sCurve: 2
+};
+
+const DEFAULT_DETENT = { center: 0.5, deadZone: 0.03 };
+
+/**
+ * Build the response function for a mapping's curve field
+ * @param {string|object} curve - Curve name or { type, amount, points, invert, detent, range }
+ * @returns {function(number): number} Maps a 0-1 position to the value to send
+ * @throws {Error} If the curve type or its parameters are invalid
+ */
+export function createCurve(curve) {
+  const config = typeof curve === 'string' ? { type: curve } : curve;
+  const type = config?.type || 'linear';
+
+  if (!config || typeof config !== 'object' || !CURVE_TYPES.includes(type)) {
+    throw new Error(`Unknown curve "${config?.type ?? curve}" (expected ${CURVE_TYPES.join(', ')})`);
+  }
+
+  const shape = createShape(type, config);
+  const detent = createDetent(config.detent);
+  const [min, max] = parseRange(config.range);
+  const invert = config.invert === true;
+
+  return (position) => {
+    let x = Math.min(Math.max(position, 0), 1);
+
+    if (invert) {
+      x = 1 - x;
+    }
+
+    return min + shape(detent(x)) * (max - min);
+  };
+}
+
+/**
+ * Build response functions for every mapping with a curve
+ * @param {object} mappings - Mapping entries (key -> mapping)
+ * @returns {Map<string, function(number): number>} Mapping key -> response function
+ * @throws {Error} Naming the mapping key of the first invalid curve
+ */
+export function compileMappingCurves(mappings) {
+  const curves = new Map();
+
+  for (const [key, mapping] of Object.entries(mappings || {})) {
+    if (key.startsWith('_') || mapping?.curve === undefined) continue;
+
+    try {
+      curves.set(key, createCurve(mapping.curve));
+    } catch (error) {
+      throw new Error(`Mapping "${key}" has invalid curve: ${error.message}`);
+    }
+  }
+
+  return curves;
+}
+
+/**
+ * @private
+ */
+function createShape(type, config) {
+  if (type === 'table') {
+    return createTable(config.points);
+  }
+
+  if (type === 'linear') {
+    return x => x;
+  }
+
+  const amount = config.amount ?? DEFAULT_AMOUNT[type];
+
+  if (!(typeof amount === 'number' && amount > 0)) {
+    throw new Error(`Curve "${type}" has invalid "amount" (must be a positive number)`);
+  }
+
+  switch (type) {
+    case 'log':
+      // Rises fast, then flattens (audio taper)
+      return x => Math.log1p(amount * x) / Math.log1p(amount);
+    case 'exp':
+      // Inverse of log: flat at first, then rises fast
+      return x => ((1 + amount) ** x - 1) / amount;
+    default:
+      // amount > 1 flattens both ends, amount < 1 makes them steep (crossfader cut)
+      return x => {
+        const a = x ** amount;
+        const b = (1 - x) ** amount;
+        return a / (a + b);
+      };
+  }
+}
+
+/**
+ * Piecewise-linear breakpoint table
+ * @private
+ */
+function createTable(points) {
+  const valid = Array.isArray(points) && points.length >= 2 && points.every(point =>
+    Array.isArray(point) && point.length === 2 && point.every(n => typeof n === 'number'));
+
+  if (!valid) {
+    throw new Error('Curve "table" must include "points" (at least two [input, output] pairs)');
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    if (points[i][0] <= points[i - 1][0]) {
+      throw new Error('Curve "table" points must have increasing inputs');
+    }
+  }
+
+  return (x) => {
+    if (x <= points[0][0]) {
+      return points[0][1];
+    }
+
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+
+      if (x <= x1) {
+        const [x0, y0] = points[i - 1];
+        return y0 + (x - x0) * (y1 - y0) / (x1 - x0);
+      }
+    }
+
+    return points[points.length - 1][1];
+  };
+}
+
+/**
+ * Snap positions near the center to the center and stretch the rest to keep the end stops
+ * @private
+ */
+function createDetent(detent) {
+  if (detent === undefined || detent === false) {
+    return x => x;
+  }
+
+  const { center, deadZone } = { ...DEFAULT_DETENT, ...(detent === true ? {} : detent) };
+
+  if (!(center > 0 && center < 1) || !(deadZone >= 0 && deadZone < Math.min(center, 1 - center))) {
+    throw new Error('Curve "detent" needs 0 < center < 1 and a deadZone smaller than the distance to either end');
+  }
+
+  return (x) => {
+    if (Math.abs(x - center) <= deadZone) {
+      return center;
+    }
+
+    return x < center
+      ? x * center / (center - deadZone)
+      : center + (x - center - deadZone) * (1 - center) / (1 - center - deadZone);
+  };
+}
+
+/**
+ * @private
+ */
+function parseRange(range) {
+  if (range === undefined) {
+    return [0, 1];
+  }
+
+  if (!Array.isArray(range) || range.length !== 2 || !range.every(n => typeof n === 'number')) {
+    throw new Error('Curve "range" must be [min, max] (use [1, 0] for an inverted output)');
+  }
+
+  return range;
+}
+
+export default { createCurve, compileMappingCurves };
@@ -0,0 +1,186 @@
+/**
+ * Per-device deck assignment (deck layering)
+ *
+ * A mapping's top-level "decks" section lists the decks each controller side can drive;
+ * the first deck is the side's default:
+ *   "decks": { "left": ["A", "C"], "right": ["B", "D"] }
+ *
+ * Actions use the side instead of a fixed deck ("deck": "left"); the translator
+ * resolves it to the deck currently selected for that side. A mapping action
+ * { "command": "layer.selectDeck", "side": "left", "deck": "C" } switches the side
+ * (without "deck" it cycles through the side's decks).
+ */
+
+// Used when a mapping refers to sides without declaring a "decks" section
+const DEFAULT_SIDES = {
+  left: ['A', 'C'],
+  right: ['B', 'D']
+};
+
+export const SELECT_DECK_COMMAND = 'layer.selectDeck';
+
+/**
+ * Validate a mapping's "decks" section
+ * @param {object|undefined} decks - Side -> deck list
+ * @throws {Error} If a side has no decks or a deck appears on two sides
+ */
+export function validateDeckLayers(decks) {
+  if (decks === undefined) {
+    return;
+  }
+
+  if (!decks || typeof decks !== 'object') {
+    throw new Error('"decks" must be an object (side -> list of decks)');
+  }
+
+  const seen = new Map();
+
+  for (const [side, list] of Object.entries(decks)) {
+    if (side.startsWith('_')) continue;
+
+    if (!Array.isArray(list) || list.length === 0 || !list.every(deck => typeof deck === 'string')) {
+      throw new Error(`Deck side "${side}" must list at least one deck (e.g., ["A", "C"])`);
+    }
+
+    for (const deck of list) {
+      const id = deck.toUpperCase();
+
+      if (seen.has(id)) {
+        throw new Error(`Deck "${id}" is assigned to both "${seen.get(id)}" and "${side}"`);
+      }
+
+      seen.set(id, side);
+    }
+  }
+}
+
+export class DeckLayers {
+  /**
+   * @param {object} [decks] - Mapping "decks" section (side -> list of decks)
+   */
+  constructor(decks) {
+    this.declared = Boolean(decks);
+    this.sides = new Map();
+
+    for (const [side, list] of Object.entries(decks || DEFAULT_SIDES)) {
+      if (side.startsWith('_')) continue;
+      this.sides.set(side, list.map(deck => deck.toUpperCase()));
+    }
+
+    this.assignment = this._getDefaultAssignment();
+  }
+
+  /**
+   * Check if a name is a controller side
+   * @param {string} name - Side or deck name
+   * @returns {boolean} True for sides ('left', 'right', ...)
+   */
+  isSide(name) {
+    return this.sides.has(name);
+  }
+
+  /**
+   * Resolve a side to its selected deck (decks pass through unchanged)
+   * @param {string} deck - Side or deck identifier
+   * @returns {string} Deck identifier
+   */
+  resolve(deck) {
+    return this.assignment[deck] ?? deck;
+  }
+
+  /**
+   * Select the deck a side drives
+   * @param {string} side - Controller side
+   * @param {string} [deck] - Deck to select (omit to cycle to the side's next deck)
+   * @returns {boolean} True if the assignment changed
+   */
+  select(side, deck) {
+    const decks = this.sides.get(side);
+
+    if (!decks) {
+      throw new Error(`Unknown deck side "${side}"`);
+    }
+
+    const current = this.assignment[side];
+    const next = deck === undefined
+      ? decks[(decks.indexOf(current) + 1) % decks.length]
+      : deck.toUpperCase();
+
+    if (!decks.includes(next)) {
+      throw new Error(`Deck "${next}" is not available on side "${side}"`);
+    }
+
+    this.assignment[side] = next;
+
+    return next !== current;
+  }
+
+  /**
+   * Get the current assignment
+   * @returns {object} Side -> selected deck
+   */
+  getAssignment() {
+    return { ...this.assignment };
+  }
+
+  /**
+   * Reset every side to its default deck
+   */
+  reset() {
+    this.assignment = this._getDefaultAssignment();
+  }
+
+  /**
+   * Map a built-in feedback control id (e.g., 'play_c') to the control that shows that deck
+   *
+   * Controls on a layered side are named after the side's default deck ('play_a' on the left).
+   * Deck C's feedback is shown on 'play_a' while the left side drives C, and hidden otherwise.
+   * @param {string} controlId - Control id ending in _<deck>
+   * @returns {string|null} Control id to update, or null if the deck is not on any side right now
+   */
+  resolveControlId(controlId) {
+    const match = /^(.+)_([a-z0-9]+)$/i.exec(controlId);
+
+    if (!this.declared || !match) {
+      return controlId;
+    }
+
+    const deck = match[2].toUpperCase();
+
+    for (const [side, decks] of this.sides) {
+      if (!decks.includes(deck)) continue;
+
+      return this.assignment[side] === deck ? `${match[1]}_${decks[0].toLowerCase()}` : null;
+    }
+
+    return controlId;
+  }
+
+  /**
+   * Resolve a state binding path whose first segment is a side ('left.loop.enabled')
+   * @param {Array<string|number>} segments - Parsed state path
+   * @returns {Array<string|number>} Path segments against the state cache ('deckC', 'loop', 'enabled')
+   */
+  resolveStateSegments(segments) {
+    if (!this.isSide(segments[0])) {
+      return segments;
+    }
+
+    return [`deck${this.assignment[segments[0]]}`, ...segments.slice(1)];
+  }
+
+  /**
+   * @private
+   */
+  _getDefaultAssignment() {
+    const assignment = {};
+
+    for (const [side, decks] of this.sides) {
+      assignment[side] = decks[0];
+    }
+
+    return assignment;
+  }
+}
+
+export default DeckLayers;
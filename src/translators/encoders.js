@@ -0,0 +1,65 @@
+/**
+ * Relative (endless) encoder decoding for MIDI mappings
+ *
+ * A mapping's "encoding" field says how the encoder reports movement:
+ * - "twosComplement": 1..63 = +1..+63, 127..64 = -1..-64
+ * - "offsetBinary": 64 = no movement, 65 = +1, 63 = -1
+ * - "signMagnitude": bit 6 is the sign, bits 0-5 the amount (65 = -1, 1 = +1)
+ * - { "type": "notePair", "decrement": { ...midi } }: the mapping's "midi" note steps +1,
+ *   the "decrement" note steps -1
+ *
+ * Decoded actions carry `delta` (steps, positive = clockwise) and `direction`.
+ */
+
+export const ENCODING_TYPES = ['twosComplement', 'offsetBinary', 'signMagnitude', 'notePair'];
+
+/**
+ * Normalize and validate a mapping's encoding field
+ * @param {string|object} encoding - Encoding name or { type, ... }
+ * @returns {object} { type, decrement? }
+ * @throws {Error} If the encoding is unknown or a note pair has no decrement address
+ */
+export function parseEncoding(encoding) {
+  const config = typeof encoding === 'string' ? { type: encoding } : encoding;
+
+  if (!config || !ENCODING_TYPES.includes(config.type)) {
+    throw new Error(`Unknown encoding "${config?.type ?? encoding}" (expected ${ENCODING_TYPES.join(', ')})`);
+  }
+
+  if (config.type === 'notePair' && (!config.decrement || config.decrement.note === undefined)) {
+    throw new Error('notePair encoding must include "decrement" (MIDI address of the decrement note)');
+  }
+
+  return config;
+}
+
+/**
+ * Decode a relative CC value into a signed step count
+ * @param {string} type - Encoding type (twosComplement, offsetBinary, signMagnitude)
+ * @param {number} value - 7-bit CC value
+ * @returns {number} Steps (positive = clockwise, 0 = no movement)
+ */
+export function decodeRelative(type, value) {
+  switch (type) {
+    case 'twosComplement':
+      return value < 64 ? value : value - 128;
+    case 'offsetBinary':
+      return value - 64;
+    case 'signMagnitude':
+      return value & 0x40 ? -(value & 0x3f) : value & 0x3f;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Default direction for a step count
+ * Clockwise scrolls down (e.g. the library list), matching the browse mappings.
+ * @param {number} delta - Steps
+ * @returns {string} 'down' for clockwise, 'up' for counter-clockwise
+ */
+export function deltaToDirection(delta) {
+  return delta > 0 ? 'down' : 'up';
+}
+
+export default { parseEncoding, decodeRelative, deltaToDirection };
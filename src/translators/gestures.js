@@ -0,0 +1,140 @@
+/**
+ * Button gesture recognition (press, release, long press, double tap, hold-repeat)
+ *
+ * Several mappings can share one button, each declaring the gesture it responds to:
+ *   "sync_a":      { ..., "action": { "command": "deck.setSyncBPM", ... } }               (press)
+ *   "sync_a_long": { ..., "gesture": { "type": "longPress", "ms": 600 }, "action": ... }
+ *
+ * Gestures:
+ * - "press" (default): on press. A press that completes a double tap fires "doubleTap" instead
+ * - "release": on release
+ * - { "type": "longPress", "ms": 500 }: once, after the button is held for ms
+ * - { "type": "doubleTap", "ms": 300 }: second press within ms of the previous press
+ * - { "type": "holdRepeat", "rate": 100, "delay": 400 }: every rate ms while held, starting after delay
+ *
+ * Long press and hold-repeat fire from timers, so their actions are delivered
+ * through the translator's onAction callback rather than translate()'s return value.
+ */
+
+export const GESTURE_TYPES = ['press', 'release', 'longPress', 'doubleTap', 'holdRepeat'];
+
+const GESTURE_DEFAULTS = {
+  longPress: { ms: 500 },
+  doubleTap: { ms: 300 },
+  holdRepeat: { rate: 100, delay: 400 }
+};
+
+/**
+ * Normalize a mapping's gesture field
+ * @param {string|object|undefined} gesture - "release" or { type, ms | rate, delay }
+ * @returns {object} Gesture with defaults applied ({ type: 'press' } if undefined)
+ * @throws {Error} If the gesture type or timing is invalid
+ */
+export function parseGesture(gesture) {
+  const config = typeof gesture === 'string' ? { type: gesture } : (gesture || { type: 'press' });
+
+  if (!GESTURE_TYPES.includes(config.type)) {
+    throw new Error(`Unknown gesture "${config.type}" (expected ${GESTURE_TYPES.join(', ')})`);
+  }
+
+  const parsed = { ...GESTURE_DEFAULTS[config.type], ...config };
+
+  for (const field of ['ms', 'rate', 'delay']) {
+    if (parsed[field] !== undefined && !(typeof parsed[field] === 'number' && parsed[field] > 0)) {
+      throw new Error(`Gesture "${config.type}" has invalid "${field}" (must be a positive number of ms)`);
+    }
+  }
+
+  return parsed;
+}
+
+export class GestureRecognizer {
+  /**
+   * @param {function(string, string): void} onTimedGesture - (button, gestureType) for longPress/holdRepeat
+   */
+  constructor(onTimedGesture) {
+    this.onTimedGesture = onTimedGesture;
+    this.buttons = new Map(); // button -> { pressed, lastPressAt, timers }
+  }
+
+  /**
+   * Feed a button edge
+   * @param {string} button - Button identifier (lookup key or control name)
+   * @param {boolean} pressed - True on press, false on release
+   * @param {object} gestures - Gesture type -> parsed gesture config declared for this button
+   * @returns {string|null} Gesture recognized immediately ('press', 'doubleTap', 'release'), or null
+   */
+  handle(button, pressed, gestures) {
+    let entry = this.buttons.get(button);
+
+    if (!entry) {
+      entry = { pressed: false, lastPressAt: 0, timers: [] };
+      this.buttons.set(button, entry);
+    }
+
+    // Ignore repeated edges (e.g. noteon velocity 0 followed by noteoff)
+    if (pressed === entry.pressed) {
+      return null;
+    }
+
+    entry.pressed = pressed;
+
+    if (!pressed) {
+      this._clearTimers(entry);
+      return 'release';
+    }
+
+    const now = Date.now();
+    const isDoubleTap = gestures.doubleTap && now - entry.lastPressAt <= gestures.doubleTap.ms;
+
+    // A double tap consumes the press, so a third press starts over
+    entry.lastPressAt = isDoubleTap ? 0 : now;
+
+    if (gestures.longPress) {
+      entry.timers.push(setTimeout(() => {
+        this.onTimedGesture(button, 'longPress');
+      }, gestures.longPress.ms));
+    }
+
+    if (gestures.holdRepeat) {
+      const { rate, delay } = gestures.holdRepeat;
+
+      entry.timers.push(setTimeout(() => {
+        this.onTimedGesture(button, 'holdRepeat');
+
+        const interval = setInterval(() => {
+          this.onTimedGesture(button, 'holdRepeat');
+        }, rate);
+
+        entry.timers.push(interval);
+      }, delay));
+    }
+
+    return isDoubleTap ? 'doubleTap' : 'press';
+  }
+
+  /**
+   * Cancel all pending long-press / repeat timers
+   */
+  reset() {
+    for (const entry of this.buttons.values()) {
+      this._clearTimers(entry);
+    }
+
+    this.buttons.clear();
+  }
+
+  /**
+   * @private
+   */
+  _clearTimers(entry) {
+    for (const timer of entry.timers) {
+      // clearTimeout also clears intervals
+      clearTimeout(timer);
+    }
+
+    entry.timers = [];
+  }
+}
+
+export default GestureRecognizer;
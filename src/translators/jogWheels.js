@@ -0,0 +1,437 @@
+/**
+ * Jog wheel processing (scratch, pitch bend, release ramps)
+ *
+ * A mapping declares its wheels in a top-level "jogWheels" section:
+ *   "jogWheels": { "left": { "deck": "A", "ticksPerRevolution": 720 } }
+ * and feeds them with local commands:
+ *   { "command": "jog.turn", "jog": "left" }  - rotation (MIDI CC with "encoding", or HID delta control)
+ *   { "command": "jog.touch", "jog": "left" } - platter touch sensor (press = touched)
+ *
+ * Turning a touched platter scratches: ticks are smoothed with an alpha-beta filter
+ * into a platter rate (1 = normal playback at the virtual RPM), sent as deck.scratch
+ * between deck.scratchStart and deck.scratchEnd. Turning an untouched wheel bends
+ * the deck with deck.nudge; faster turns bend more per revolution (acceleration).
+ * Releasing the platter ramps back to playback, brakes to a stop, or spins back.
+ *
+ * Wheel reports only move the measured position. Filter updates, bends and release
+ * ramps run on one timer per wheel (updateMs), so a wheel sends at most one
+ * deck.scratch or deck.nudge per update, however fast it reports. All output is
+ * delivered through the emit callback (the translator's onAction) at critical priority.
+ */
+
+import { resolveStatePath } from '../feedback/stateBindings.js';
+
+export const JOG_TURN_COMMAND = 'jog.turn';
+export const JOG_TOUCH_COMMAND = 'jog.touch';
+export const JOG_RELEASE_MODES = ['ramp', 'brake', 'spinback'];
+
+const JOG_DEFAULTS = {
+  ticksPerRevolution: 720,
+  rpm: 33 + 1 / 3,
+  alpha: 1 / 8,
+  beta: 1 / 8 / 32,
+  release: 'ramp',
+  rampFactor: 0.9, // Share of the remaining rate difference kept every 10 ms while releasing
+  spinbackRate: 3, // Minimum reverse rate at the start of a spin-back
+  bendSensitivity: 0.1, // Tempo adjustment per revolution while the deck plays
+  bendAcceleration: 1, // Extra bend per revolution for each revolution per second of wheel speed
+  updateMs: 10, // One deck.scratch or deck.nudge per update at most; finer rates flood the engine link
+  bendTimeoutMs: 150 // Idle time before a bend ends
+};
+
+// Release ramps end (and a held platter stops) when the rate is this close to the target
+const RATE_EPSILON = 0.01;
+
+// Time base of rampFactor
+const RAMP_STEP_MS = 10;
+
+const NUMERIC_FIELDS = [
+  'ticksPerRevolution', 'rpm', 'alpha', 'beta', 'rampFactor',
+  'spinbackRate', 'bendSensitivity', 'updateMs', 'bendTimeoutMs'
+];
+
+/**
+ * Check whether a mapping command feeds a jog wheel
+ * @param {string} command - Mapping action command
+ * @returns {boolean}
+ */
+export function isJogCommand(command) {
+  return command === JOG_TURN_COMMAND || command === JOG_TOUCH_COMMAND;
+}
+
+/**
+ * Validate a mapping's "jogWheels" section
+ * @param {object|undefined} jogWheels - Wheel name -> config
+ * @throws {Error} If a wheel has no deck or invalid tuning values
+ */
+export function validateJogWheels(jogWheels) {
+  if (jogWheels === undefined) {
+    return;
+  }
+
+  if (!jogWheels || typeof jogWheels !== 'object') {
+    throw new Error('"jogWheels" must be an object (name -> wheel config)');
+  }
+
+  for (const [name, config] of Object.entries(jogWheels)) {
+    if (name.startsWith('_')) continue;
+
+    if (typeof config?.deck !== 'string') {
+      throw new Error(`Jog wheel "${name}" must include "deck" (a deck or controller side)`);
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+      if (config[field] !== undefined && !(typeof config[field] === 'number' && config[field] > 0)) {
+        throw new Error(`Jog wheel "${name}" has invalid "${field}" (must be a positive number)`);
+      }
+    }
+
+    if (config.bendAcceleration !== undefined && !(typeof config.bendAcceleration === 'number' && config.bendAcceleration >= 0)) {
+      throw new Error(`Jog wheel "${name}" has invalid "bendAcceleration" (must be a number >= 0)`);
+    }
+
+    if (config.alpha > 1 || config.rampFactor >= 1) {
+      throw new Error(`Jog wheel "${name}" must have "alpha" <= 1 and "rampFactor" < 1`);
+    }
+
+    if (config.release !== undefined && !JOG_RELEASE_MODES.includes(config.release)) {
+      throw new Error(`Jog wheel "${name}" has invalid "release" (expected ${JOG_RELEASE_MODES.join(', ')})`);
+    }
+  }
+}
+
+export class JogWheels {
+  /**
+   * @param {object} [jogWheels] - Mapping "jogWheels" section
+   * @param {object} options
+   * @param {DeckLayers} options.deckLayers - Resolves controller sides to decks
+   * @param {function(): object} [options.getState] - Engine state cache (play state)
+   * @param {function(object): void} options.emit - Receives jog actions
+   */
+  constructor(jogWheels, { deckLayers, getState, emit }) {
+    this.deckLayers = deckLayers;
+    this.getState = getState || (() => null);
+    this.emit = emit;
+    this.wheels = new Map();
+
+    for (const [name, config] of Object.entries(jogWheels || {})) {
+      if (name.startsWith('_')) continue;
+
+      this.wheels.set(name, {
+        name,
+        config: { ...JOG_DEFAULTS, ...config },
+        deck: null,
+        source: {},
+        touched: false,
+        releasing: false,
+        bending: false,
+        bendTicks: 0, // Ticks turned since the last nudge
+        position: 0, // Measured revolutions since touch
+        x: 0, // Filtered position
+        v: 0, // Filtered velocity (revolutions per second)
+        rate: 0, // Platter rate (1 = normal playback)
+        sentRate: null,
+        target: 0,
+        lastUpdate: 0,
+        timer: null,
+        bendTimer: null
+      });
+    }
+  }
+
+  /**
+   * Check whether a wheel is declared
+   * @param {string} name - Wheel name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.wheels.has(name);
+  }
+
+  /**
+   * Feed a platter touch edge
+   * @param {string} name - Wheel name
+   * @param {boolean} touched - True when the platter is touched
+   * @param {object} [source] - { control, deviceId } of the input, copied onto actions
+   */
+  touch(name, touched, source = {}) {
+    const wheel = this.wheels.get(name);
+
+    if (!wheel || touched === wheel.touched) {
+      return;
+    }
+
+    wheel.touched = touched;
+    wheel.source = source;
+
+    if (touched) {
+      this._endBend(wheel);
+
+      if (!wheel.releasing) {
+        wheel.deck = this.deckLayers.resolve(wheel.config.deck);
+        wheel.sentRate = null;
+        this._send(wheel, 'deck.scratchStart');
+      }
+
+      // The hand holds the record: start from standstill
+      wheel.releasing = false;
+      wheel.position = 0;
+      wheel.x = 0;
+      wheel.v = 0;
+      wheel.rate = 0;
+      wheel.lastUpdate = performance.now();
+      this._sendRate(wheel, 0);
+      this._startTimer(wheel);
+      return;
+    }
+
+    const { release, spinbackRate } = wheel.config;
+    const playing = this._isPlaying(wheel.deck);
+
+    wheel.releasing = true;
+    wheel.lastUpdate = performance.now();
+    wheel.target = release === 'brake' || !playing ? 0 : 1;
+
+    if (release === 'spinback') {
+      wheel.rate = -Math.max(Math.abs(wheel.rate), spinbackRate);
+    }
+
+    if (Math.abs(wheel.rate - wheel.target) <= RATE_EPSILON) {
+      this._finishRelease(wheel);
+    }
+  }
+
+  /**
+   * Feed wheel rotation
+   * @param {string} name - Wheel name
+   * @param {number} ticks - Signed tick count (positive = clockwise)
+   * @param {object} [source] - { control, deviceId } of the input, copied onto actions
+   */
+  turn(name, ticks, source = {}) {
+    const wheel = this.wheels.get(name);
+
+    if (!wheel || !ticks) {
+      return;
+    }
+
+    wheel.source = source;
+
+    // The next update turns the position into a rate
+    if (wheel.touched) {
+      wheel.position += ticks / wheel.config.ticksPerRevolution;
+      return;
+    }
+
+    // The record is spinning on its own after a release
+    if (wheel.releasing) {
+      return;
+    }
+
+    this._bend(wheel, ticks);
+  }
+
+  /**
+   * Stop all timers and forget wheel state
+   */
+  reset() {
+    for (const wheel of this.wheels.values()) {
+      this._stopTimer(wheel);
+      clearTimeout(wheel.bendTimer);
+      wheel.bendTimer = null;
+      wheel.touched = false;
+      wheel.releasing = false;
+      wheel.bending = false;
+      wheel.bendTicks = 0;
+    }
+  }
+
+  /**
+   * Advance the alpha-beta filter and send the platter rate if it changed
+   * @private
+   */
+  _updateScratch(wheel) {
+    const { alpha, beta, rpm } = wheel.config;
+    const now = performance.now();
+    const dt = Math.max(now - wheel.lastUpdate, 1) / 1000;
+    wheel.lastUpdate = now;
+
+    const predicted = wheel.x + wheel.v * dt;
+    const residual = wheel.position - predicted;
+
+    wheel.x = predicted + alpha * residual;
+    wheel.v += (beta / dt) * residual;
+
+    const rate = wheel.v / (rpm / 60);
+    wheel.rate = Math.abs(rate) < RATE_EPSILON ? 0 : rate;
+    this._sendRate(wheel, wheel.rate);
+  }
+
+  /**
+   * @private
+   */
+  _updateRelease(wheel) {
+    const now = performance.now();
+    const steps = (now - wheel.lastUpdate) / RAMP_STEP_MS;
+    wheel.lastUpdate = now;
+
+    wheel.rate = wheel.target + (wheel.rate - wheel.target) * wheel.config.rampFactor ** steps;
+
+    if (Math.abs(wheel.rate - wheel.target) <= RATE_EPSILON) {
+      this._finishRelease(wheel);
+      return;
+    }
+
+    this._sendRate(wheel, wheel.rate);
+  }
+
+  /**
+   * @private
+   */
+  _finishRelease(wheel) {
+    this._stopTimer(wheel);
+    wheel.releasing = false;
+    this._sendRate(wheel, wheel.target);
+
+    if (wheel.config.release === 'brake' && this._isPlaying(wheel.deck)) {
+      this._send(wheel, 'deck.pause');
+    }
+
+    this._send(wheel, 'deck.scratchEnd');
+  }
+
+  /**
+   * @private
+   */
+  _sendRate(wheel, rate) {
+    const rounded = Math.round(rate * 1000) / 1000;
+
+    if (rounded === wheel.sentRate) {
+      return;
+    }
+
+    wheel.sentRate = rounded;
+    this._send(wheel, 'deck.scratch', { value: rounded });
+  }
+
+  /**
+   * Nudge an untouched wheel: tempo bend while playing, position offset while paused
+   * Ticks are collected and sent as one deck.nudge per update.
+   * @private
+   */
+  _bend(wheel, ticks) {
+    if (!wheel.bending) {
+      wheel.bending = true;
+      wheel.bendTicks = 0;
+      wheel.lastUpdate = performance.now();
+      wheel.deck = this.deckLayers.resolve(wheel.config.deck);
+      this._send(wheel, 'deck.nudgeStart');
+      this._startTimer(wheel);
+    }
+
+    wheel.bendTicks += ticks;
+
+    clearTimeout(wheel.bendTimer);
+    wheel.bendTimer = setTimeout(() => this._endBend(wheel), wheel.config.bendTimeoutMs);
+  }
+
+  /**
+   * Send the ticks collected since the last update as one deck.nudge
+   * @private
+   */
+  _updateBend(wheel) {
+    const { ticksPerRevolution, rpm, bendSensitivity, bendAcceleration } = wheel.config;
+    const now = performance.now();
+    const dt = Math.max(now - wheel.lastUpdate, 1) / 1000;
+    wheel.lastUpdate = now;
+
+    if (!wheel.bendTicks) {
+      return;
+    }
+
+    const revolutions = wheel.bendTicks / ticksPerRevolution;
+    wheel.bendTicks = 0;
+
+    // Faster turns cover more ground per revolution
+    const speed = Math.abs(revolutions) / dt;
+    const accelerated = revolutions * (1 + bendAcceleration * speed);
+
+    const delta = this._isPlaying(wheel.deck)
+      ? accelerated * bendSensitivity
+      : accelerated * 60 / rpm; // Seconds of audio under a turning platter
+
+    this._send(wheel, 'deck.nudge', { delta });
+  }
+
+  /**
+   * @private
+   */
+  _endBend(wheel) {
+    if (!wheel.bending) {
+      return;
+    }
+
+    this._updateBend(wheel);
+    this._stopTimer(wheel);
+    clearTimeout(wheel.bendTimer);
+    wheel.bendTimer = null;
+    wheel.bending = false;
+    this._send(wheel, 'deck.nudgeEnd');
+  }
+
+  /**
+   * @private
+   */
+  _startTimer(wheel) {
+    if (wheel.timer) {
+      return;
+    }
+
+    wheel.timer = setInterval(() => {
+      if (wheel.touched) {
+        this._updateScratch(wheel);
+      } else if (wheel.releasing) {
+        this._updateRelease(wheel);
+      } else if (wheel.bending) {
+        this._updateBend(wheel);
+      }
+    }, wheel.config.updateMs);
+  }
+
+  /**
+   * @private
+   */
+  _stopTimer(wheel) {
+    clearInterval(wheel.timer);
+    wheel.timer = null;
+  }
+
+  /**
+   * @private
+   */
+  _isPlaying(deck) {
+    const playing = resolveStatePath(this.getState(), [`deck${deck}`, 'playback', 'playing']);
+
+    // Without engine state, assume the deck plays
+    return playing !== false;
+  }
+
+  /**
+   * @private
+   */
+  _send(wheel, command, fields = {}) {
+    this.emit({
+      command,
+      target: 'audio',
+      priority: 'critical',
+      timestamp: Date.now(),
+      deviceId: wheel.source.deviceId,
+      control: wheel.source.control,
+      deck: wheel.deck,
+      jog: wheel.name,
+      continuous: false,
+      ...fields
+    });
+  }
+}
+
+export default JogWheels;
@@ -0,0 +1,166 @@
+/**
+ * Soft takeover for absolute faders and knobs
+ *
+ * When the physical position no longer matches the engine (deck layer switch,
+ * mapping reload, engine-side change such as auto-gain), the first touch would
+ * make the value jump. A mapping can opt in per control:
+ *   "softTakeover": { "mode": "pickup", "state": "left.eq.high" }
+ *
+ * Modes:
+ * - "pickup": ignore the control until the hardware crosses the engine value
+ * - "scaled": move the engine value proportionally until both meet at an end stop
+ * - "jump": send the hardware value as-is (no takeover)
+ *
+ * The engine value is read from FeedbackManager's state cache at `state`
+ * (optionally mapped from `scale: [min, max]` to 0-1). Action values are 0-1.
+ */
+
+import { parseStatePath } from '../feedback/stateBindings.js';
+
+export const SOFT_TAKEOVER_MODES = ['pickup', 'scaled', 'jump'];
+
+// Hardware and engine count as matching within this distance
+const DEFAULT_THRESHOLD = 0.03;
+
+// An engine value that differs from what we sent this long ago was changed by the engine
+const ENGINE_SETTLE_MS = 300;
+
+/**
+ * Validate a mapping's softTakeover block
+ * @param {object} config - softTakeover config
+ * @throws {Error} If the mode or state path is invalid
+ */
+export function validateSoftTakeover(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('"softTakeover" must be an object');
+  }
+
+  const mode = config.mode || 'pickup';
+
+  if (!SOFT_TAKEOVER_MODES.includes(mode)) {
+    throw new Error(`Unknown soft takeover mode "${mode}" (expected ${SOFT_TAKEOVER_MODES.join(', ')})`);
+  }
+
+  if (mode !== 'jump') {
+    parseStatePath(config.state);
+  }
+
+  if (config.scale !== undefined && !(Array.isArray(config.scale) && config.scale.length === 2)) {
+    throw new Error('softTakeover "scale" must be [min, max]');
+  }
+}
+
+export class SoftTakeover {
+  /**
+   * @param {object} mappings - Mapping entries (key -> mapping)
+   */
+  constructor(mappings) {
+    this.controls = new Map(); // control -> { mode, segments, scale, threshold }
+    this.state = new Map(); // control -> { path, lastHardware, lastSent, lastSentAt, engaged }
+
+    for (const [key, mapping] of Object.entries(mappings || {})) {
+      if (key.startsWith('_') || !mapping?.softTakeover) continue;
+
+      const config = mapping.softTakeover;
+      const mode = config.mode || 'pickup';
+
+      if (mode === 'jump') continue;
+
+      this.controls.set(key, {
+        mode,
+        segments: parseStatePath(config.state),
+        scale: config.scale || [0, 1],
+        threshold: config.threshold ?? DEFAULT_THRESHOLD
+      });
+    }
+  }
+
+  /**
+   * Get takeover config for a control
+   * @param {string} control - Mapping key
+   * @returns {object|undefined} { mode, segments, scale, threshold }
+   */
+  get(control) {
+    return this.controls.get(control);
+  }
+
+  /**
+   * Decide what to send for a hardware move
+   * @param {string} control - Mapping key
+   * @param {number} hardware - Hardware position (0-1)
+   * @param {number|undefined} engineRaw - Current engine value from the state cache
+   * @param {string} path - Resolved state path (changes when the deck layer switches)
+   * @returns {number|null} Value to send, or null to suppress the move
+   */
+  process(control, hardware, engineRaw, path) {
+    const config = this.controls.get(control);
+
+    if (!config || typeof engineRaw !== 'number') {
+      return hardware;
+    }
+
+    const [min, max] = config.scale;
+    const engine = (engineRaw - min) / (max - min);
+    const now = Date.now();
+
+    let entry = this.state.get(control);
+
+    if (!entry || entry.path !== path) {
+      // New control, fresh mapping or different deck: takeover starts disengaged
+      entry = { path, lastHardware: null, lastSent: null, lastSentAt: 0, engaged: false };
+      this.state.set(control, entry);
+    } else if (entry.engaged && Math.abs(engine - entry.lastSent) > config.threshold &&
+      now - entry.lastSentAt > ENGINE_SETTLE_MS) {
+      // The engine moved on its own (auto-gain, UI, another controller)
+      entry.engaged = false;
+    }
+
+    const previous = entry.lastHardware;
+    entry.lastHardware = hardware;
+
+    // The state cache lags behind values we just sent
+    const current = entry.lastSent !== null && now - entry.lastSentAt <= ENGINE_SETTLE_MS
+      ? entry.lastSent
+      : engine;
+
+    if (!entry.engaged) {
+      const crossed = previous !== null && (previous - current) * (hardware - current) <= 0;
+
+      if (crossed || Math.abs(hardware - current) <= config.threshold) {
+        entry.engaged = true;
+      }
+    }
+
+    let value = hardware;
+
+    if (!entry.engaged) {
+      if (config.mode !== 'scaled' || previous === null || hardware === previous) {
+        return null;
+      }
+
+      // Close the gap proportionally so both reach the end stop together
+      value = hardware > previous
+        ? current + (hardware - previous) * (1 - current) / (1 - previous)
+        : current - (previous - hardware) * current / previous;
+
+      if (Math.abs(value - hardware) <= config.threshold) {
+        entry.engaged = true;
+        value = hardware;
+      }
+    }
+
+    entry.lastSent = value;
+    entry.lastSentAt = now;
+
+    return value;
+  }
+
+  /**
+   * Forget tracked positions so every control must be picked up again
+   */
+  reset() {
+    this.state.clear();
+  }
+}
+
+export default SoftTakeover;
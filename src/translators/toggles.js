@@ -0,0 +1,123 @@
+/**
+ * Toggle and momentary buttons
+ *
+ * A button mapping can set the action type:
+ * - "toggle": each press sends the inverse of the engine's current state
+ * - "momentary": press sends on, release sends off
+ *
+ * Toggles read the state from FeedbackManager's cache. The path and transform default
+ * to the mapping's feedback binding, so the button flips whatever its LED shows:
+ *   "action": { "type": "toggle", "command": "fx.busEnable", "bus": 0, "valueField": "enabled" },
+ *   "feedback": { "led": true, "state": "fx.buses[0].enabled" }
+ *
+ * "valueField" names the command parameter that carries the on/off value
+ * (enabled, kill, ...); the value is also sent as the action value.
+ */
+
+import { parseStatePath, validateTransform, transformStateValue } from '../feedback/stateBindings.js';
+
+export const TOGGLE_TYPE = 'toggle';
+export const MOMENTARY_TYPE = 'momentary';
+
+// A value we sent this recently is trusted over the (not yet updated) state cache
+const PENDING_MS = 500;
+
+/**
+ * Check whether a mapping action is a toggle or momentary button
+ * @param {object} action - Mapping action
+ * @returns {boolean}
+ */
+export function isLatchingAction(action) {
+  return action?.type === TOGGLE_TYPE || action?.type === MOMENTARY_TYPE;
+}
+
+/**
+ * Validate a toggle/momentary mapping
+ * @param {object} mapping - Mapping entry
+ * @throws {Error} If a toggle has no state path or an unusable transform
+ */
+export function validateLatchingAction(mapping) {
+  const { action } = mapping;
+
+  if (action.valueField !== undefined && typeof action.valueField !== 'string') {
+    throw new Error('"valueField" must be a string (e.g., "enabled")');
+  }
+
+  if (action.type !== TOGGLE_TYPE) {
+    return;
+  }
+
+  const state = action.state ?? mapping.feedback?.state;
+  const transform = action.state !== undefined ? action.transform : mapping.feedback?.transform;
+
+  if (state === undefined) {
+    throw new Error('Toggle must include "state" (in the action or its feedback binding)');
+  }
+
+  parseStatePath(state);
+  validateTransform(transform);
+
+  if (transform === 'raw' || transform?.scale) {
+    throw new Error('Toggle state transform must be "boolean", equals or threshold');
+  }
+}
+
+export class ToggleTracker {
+  /**
+   * @param {object} mappings - Mapping entries (key -> mapping)
+   */
+  constructor(mappings) {
+    this.toggles = new Map(); // control -> { segments, transform }
+    this.pending = new Map(); // control -> { value, at }
+
+    for (const [key, mapping] of Object.entries(mappings || {})) {
+      if (key.startsWith('_') || mapping?.action?.type !== TOGGLE_TYPE) continue;
+
+      const ownState = mapping.action.state !== undefined;
+
+      this.toggles.set(key, {
+        segments: parseStatePath(ownState ? mapping.action.state : mapping.feedback.state),
+        transform: (ownState ? mapping.action.transform : mapping.feedback.transform) || 'boolean'
+      });
+    }
+  }
+
+  /**
+   * Get toggle config for a control
+   * @param {string} control - Mapping key
+   * @returns {object|undefined} { segments, transform }
+   */
+  get(control) {
+    return this.toggles.get(control);
+  }
+
+  /**
+   * Decide the value a toggle press sends
+   * @param {string} control - Mapping key
+   * @param {*} engineRaw - Current state value from the cache
+   * @returns {boolean} Inverse of the current state
+   */
+  next(control, engineRaw) {
+    const config = this.toggles.get(control);
+    const pending = this.pending.get(control);
+    const now = Date.now();
+
+    // The engine hasn't confirmed our last press yet
+    const current = pending && now - pending.at <= PENDING_MS
+      ? pending.value
+      : transformStateValue(engineRaw, config.transform) === 'on';
+
+    this.pending.set(control, { value: !current, at: now });
+
+    return !current;
+  }
+
+  /**
+   * Forget values sent but not yet confirmed
+   */
+  reset() {
+    this.pending.clear();
+  }
+}
+
+export default ToggleTracker;
@@ -2,6 +2,20 @@ import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseStatePath, validateTransform } from '../feedback/stateBindings.js';
+import { compileMappingExpressions } from './expression.js';
+import { DeckLayers, SELECT_DECK_COMMAND, validateDeckLayers } from '../translators/deckLayers.js';
+import { validateSoftTakeover } from '../translators/softTakeover.js';
+import { parseGesture } from '../translators/gestures.js';
+import { parseEncoding } from '../translators/encoders.js';
+import { JOG_TURN_COMMAND, isJogCommand, validateJogWheels } from '../translators/jogWheels.js';
+import { createCurve } from '../translators/curves.js';
+import { MACRO_COMMAND, validateMacro } from '../mapping/macros.js';
+import { isLatchingAction, validateLatchingAction } from '../translators/toggles.js';
+import { parseSysExSequences } from '../managers/sysex.js';
+import { validateDeviceMatch } from '../mapping/deviceMatching.js';
+import { isParameterType, validateParameterAddress, getDeclaredParameters } from '../managers/parameters.js';
+import { getHighResPairs } from '../managers/highResCC.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,6 +50,22 @@ export async function loadConfig() {
 
     mappingsPath: path.join(__dirname, '../../config/devices'),
 
+    // Reload device mappings when their files change
+    watchMappings: process.env.WATCH_MAPPINGS
+      ? process.env.WATCH_MAPPINGS === 'true'
+      : serverConfig.watchMappings ?? true,
+
+    // Device hot-plug poll interval (0 disables)
+    hotPlugInterval: parseInt(process.env.HOTPLUG_INTERVAL) >= 0
+      ? parseInt(process.env.HOTPLUG_INTERVAL)
+      : serverConfig.hotPlugInterval ?? 2000,
+
+    // What to do with actions while the Audio Engine is disconnected (per action class)
+    offlinePolicy: serverConfig.offlinePolicy || {},
+    maxOfflineBuffer: parseInt(process.env.MAX_OFFLINE_BUFFER) >= 0
+      ? parseInt(process.env.MAX_OFFLINE_BUFFER)
+      : serverConfig.maxOfflineBuffer ?? 100,
+
     // HID polling intervals
     hidJogPollInterval: parseInt(process.env.HID_JOG_POLL_INTERVAL) || serverConfig.hidJogPollInterval || 8,
     hidButtonPollInterval: parseInt(process.env.HID_BUTTON_POLL_INTERVAL) || serverConfig.hidButtonPollInterval || 16,
@@ -83,10 +113,53 @@ export function validateDeviceMapping(mapping) {
     throw new Error('Device mapping must include "device.protocol" (midi or hid)');
   }
 
+  // Validate device selection rules (name patterns, identity fingerprints)
+  validateDeviceMatch(mapping.device.match);
+
   if (!mapping.mappings || typeof mapping.mappings !== 'object') {
     throw new Error('Device mapping must include "mappings" object');
   }
 
+  // Expressions must parse in the safe expression language (no arbitrary code)
+  compileMappingExpressions(mapping.mappings, mapping.device.protocol);
+
+  // Validate modifier declarations (MIDI shift/deck-select/pad-mode layers)
+  for (const [name, modifier] of Object.entries(mapping.modifiers || {})) {
+    if (name.startsWith('_')) {
+      continue;
+    }
+
+    const mode = modifier.mode || 'momentary';
+
+    if (!['momentary', 'toggle', 'select'].includes(mode)) {
+      throw new Error(`Modifier "${name}" has invalid "mode" (momentary, toggle, or select)`);
+    }
+
+    if (mode === 'select' && (!modifier.values || typeof modifier.values !== 'object')) {
+      throw new Error(`Modifier "${name}" must include "values" (value -> midi) in select mode`);
+    }
+
+    if (mode !== 'select' && !modifier.midi) {
+      throw new Error(`Modifier "${name}" must include "midi"`);
+    }
+  }
+
+  // Validate deck layering (controller side -> decks)
+  validateDeckLayers(mapping.decks);
+  const deckLayers = new DeckLayers(mapping.decks);
+
+  // Validate jog wheels (scratch/bend tuning per wheel)
+  validateJogWheels(mapping.jogWheels);
+
+  // Validate SysEx init/shutdown sequences
+  parseSysExSequences(mapping.sysex);
+
+  // Validate 14-bit CC pairs (declared "highRes" controls)
+  getHighResPairs(mapping.mappings);
+
+  // Validate NRPN/RPN parameters (no plain CCs on the parameter CCs of their channels)
+  getDeclaredParameters(mapping.mappings);
+
   // Validate each mapping (skip meta-fields starting with _)
   for (const [key, map] of Object.entries(mapping.mappings)) {
     // Skip comment fields and other meta-fields
@@ -98,12 +171,111 @@ export function validateDeviceMapping(mapping) {
       throw new Error(`Mapping "${key}" must include "action" section`);
     }
 
-    if (!map.target || !['audio', 'app', 'ui'].includes(map.target)) {
-      throw new Error(`Mapping "${key}" must include "target" (audio, app, or ui)`);
+    // Deck layer switches are handled by the Controller Server itself (no target/priority)
+    if (map.action.command === SELECT_DECK_COMMAND) {
+      if (!deckLayers.isSide(map.action.side)) {
+        throw new Error(`Mapping "${key}" must include "action.side" (one of: ${[...deckLayers.sides.keys()].join(', ')})`);
+      }
+    } else if (isJogCommand(map.action.command)) {
+      // Jog wheels send their own critical-priority audio commands
+      const jog = map.action.jog;
+
+      if (!jog || jog.startsWith('_') || !mapping.jogWheels?.[jog]) {
+        throw new Error(`Mapping "${key}" must include "action.jog" (a wheel declared in "jogWheels")`);
+      }
+
+      if (map.action.command === JOG_TURN_COMMAND && map.midi && map.encoding === undefined) {
+        throw new Error(`Mapping "${key}" must include "encoding" (MIDI jog rotation is relative)`);
+      }
+    } else {
+      if (!map.target || !['audio', 'app', 'ui'].includes(map.target)) {
+        throw new Error(`Mapping "${key}" must include "target" (audio, app, or ui)`);
+      }
+
+      if (!map.priority || !['critical', 'high', 'normal'].includes(map.priority)) {
+        throw new Error(`Mapping "${key}" must include "priority" (critical, high, or normal)`);
+      }
+    }
+
+    // NRPN/RPN inputs and outputs are addressed by parameter number
+    for (const [field, address] of [['midi', map.midi], ['feedback.midiOut', map.feedback?.midiOut]]) {
+      if (!isParameterType(address?.type)) continue;
+
+      try {
+        validateParameterAddress(address);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid "${field}": ${error.message}`);
+      }
+    }
+
+    if (map.condition !== undefined && typeof map.condition !== 'string') {
+      throw new Error(`Mapping "${key}" has invalid "condition" (must be a string)`);
+    }
+
+    if (map.gesture !== undefined) {
+      try {
+        parseGesture(map.gesture);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid gesture: ${error.message}`);
+      }
+    }
+
+    if (map.softTakeover !== undefined) {
+      try {
+        validateSoftTakeover(map.softTakeover);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid soft takeover: ${error.message}`);
+      }
+    }
+
+    if (map.action.command === MACRO_COMMAND) {
+      try {
+        validateMacro(map.action);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid macro: ${error.message}`);
+      }
+    }
+
+    if (isLatchingAction(map.action)) {
+      try {
+        validateLatchingAction(map);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid ${map.action.type} button: ${error.message}`);
+      }
+    }
+
+    if (map.curve !== undefined) {
+      try {
+        createCurve(map.curve);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid curve: ${error.message}`);
+      }
+    }
+
+    if (map.encoding !== undefined) {
+      let encoding;
+
+      try {
+        encoding = parseEncoding(map.encoding);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid encoding: ${error.message}`);
+      }
+
+      const expectedType = encoding.type === 'notePair' ? 'noteon' : 'cc';
+
+      if (map.midi?.type !== expectedType) {
+        throw new Error(`Mapping "${key}" with ${encoding.type} encoding must use a MIDI ${expectedType} message`);
+      }
     }
 
-    if (!map.priority || !['critical', 'high', 'normal'].includes(map.priority)) {
-      throw new Error(`Mapping "${key}" must include "priority" (critical, high, or normal)`);
+    // Validate declarative feedback binding
+    if (map.feedback?.state !== undefined) {
+      try {
+        parseStatePath(map.feedback.state);
+        validateTransform(map.feedback.transform);
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid feedback binding: ${error.message}`);
+      }
     }
   }
 }
@@ -0,0 +1,399 @@
+/**
+ * Safe expression language for mapping files
+ *
+ * Mapping expressions (valueExpression, direction, mode, condition) are parsed
+ * once when the mapping is loaded and evaluated against a plain context object.
+ * Nothing else can be reached: no globals, no assignment, no arbitrary calls.
+ *
+ * Supported:
+ * - Literals: numbers, 'strings', "strings", true, false, null
+ * - Variables from the context: value, velocity, delta, modifier names, state.shift
+ * - Operators: + - * / %, unary - + !, < <= > >=, == != === !== (all strict), && ||, a ? b : c
+ * - Property access on context objects: state.shift, state['padMode'], list[0]
+ * - Helpers: abs, min, max, round, floor, ceil, sign, sqrt, pow, log, exp, clamp(x, lo, hi)
+ *   (also available as Math.abs(...), Math.round(...), etc.)
+ *
+ * Example: "value > 64 ? 'down' : 'up'"
+ */
+
+// Mapping fields that hold expressions, per protocol
+export const EXPRESSION_FIELDS = {
+  midi: ['condition', 'action.valueExpression', 'action.direction'],
+  hid: ['condition', 'action.valueExpression', 'action.direction', 'action.mode']
+};
+
+const HELPERS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sign: Math.sign,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  log: Math.log,
+  exp: Math.exp,
+  clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi)
+};
+
+const LITERALS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '.', ',', '[', ']'
+];
+
+const BINARY_OPERATORS = {
+  '||': (a, b) => a || b,
+  '&&': (a, b) => a && b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+// Binary operator precedence levels, lowest first
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Split expression source into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const rest = source.slice(pos);
+
+    const number = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(rest);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], pos });
+      pos += identifier[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      let end = pos + 1;
+
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) {
+          end++;
+        }
+        value += source[end];
+        end++;
+      }
+
+      if (end >= source.length) {
+        throw new Error(`Unterminated string at position ${pos}`);
+      }
+
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => rest.startsWith(p));
+    if (punctuator) {
+      tokens.push({ type: 'punctuator', value: punctuator, pos });
+      pos += punctuator.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" at position ${pos}`);
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+
+  return tokens;
+}
+
+/**
+ * Read an own property of a context value (never the prototype chain)
+ * @private
+ */
+function getProperty(object, key) {
+  if (object === null || typeof object !== 'object') {
+    return undefined;
+  }
+
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Recursive descent parser producing evaluator closures
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    const node = this.parseTernary();
+    const token = this.peek();
+
+    if (token.type !== 'end') {
+      throw new Error(`Unexpected "${token.value}" at position ${token.pos}`);
+    }
+
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isPunctuator(value) {
+    const token = this.peek();
+    return token.type === 'punctuator' && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+
+    if (token.type !== 'punctuator' || token.value !== value) {
+      const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+      throw new Error(`Expected "${value}" but found ${found} at position ${token.pos}`);
+    }
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+
+    if (!this.isPunctuator('?')) {
+      return test;
+    }
+
+    this.next();
+    const consequent = this.parseTernary();
+    this.expect(':');
+    const alternate = this.parseTernary();
+
+    return (context) => (test(context) ? consequent(context) : alternate(context));
+  }
+
+  parseBinary(level) {
+    if (level >= PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+
+    while (PRECEDENCE[level].some(op => this.isPunctuator(op))) {
+      const operator = this.next().value;
+      const right = this.parseBinary(level + 1);
+      const lhs = left;
+
+      if (operator === '&&') {
+        left = (context) => lhs(context) && right(context);
+      } else if (operator === '||') {
+        left = (context) => lhs(context) || right(context);
+      } else {
+        const apply = BINARY_OPERATORS[operator];
+        left = (context) => apply(lhs(context), right(context));
+      }
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunctuator('!')) {
+      this.next();
+      const operand = this.parseUnary();
+      return (context) => !operand(context);
+    }
+
+    if (this.isPunctuator('-')) {
+      this.next();
+      const operand = this.parseUnary();
+      return (context) => -operand(context);
+    }
+
+    if (this.isPunctuator('+')) {
+      this.next();
+      const operand = this.parseUnary();
+      return (context) => +operand(context);
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (this.isPunctuator('.') || this.isPunctuator('[')) {
+      const object = node;
+
+      if (this.next().value === '.') {
+        const token = this.next();
+
+        if (token.type !== 'identifier') {
+          throw new Error(`Expected property name at position ${token.pos}`);
+        }
+
+        node = (context) => getProperty(object(context), token.value);
+      } else {
+        const key = this.parseTernary();
+        this.expect(']');
+        node = (context) => getProperty(object(context), key(context));
+      }
+    }
+
+    return node;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return () => token.value;
+    }
+
+    if (token.type === 'punctuator' && token.value === '(') {
+      const node = this.parseTernary();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === 'identifier') {
+      if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+        const literal = LITERALS[token.value];
+        return () => literal;
+      }
+
+      // Math.round(...) is an alias for round(...)
+      if (token.value === 'Math') {
+        this.expect('.');
+        const name = this.next();
+        return this.parseCall(name);
+      }
+
+      if (this.isPunctuator('(')) {
+        return this.parseCall(token);
+      }
+
+      return (context) => getProperty(context, token.value);
+    }
+
+    const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    throw new Error(`Unexpected ${found} at position ${token.pos}`);
+  }
+
+  parseCall(nameToken) {
+    if (nameToken.type !== 'identifier' || !Object.prototype.hasOwnProperty.call(HELPERS, nameToken.value)) {
+      throw new Error(`Unknown function "${nameToken.value}" at position ${nameToken.pos}`);
+    }
+
+    const helper = HELPERS[nameToken.value];
+    const args = [];
+
+    this.expect('(');
+
+    if (!this.isPunctuator(')')) {
+      args.push(this.parseTernary());
+
+      while (this.isPunctuator(',')) {
+        this.next();
+        args.push(this.parseTernary());
+      }
+    }
+
+    this.expect(')');
+
+    return (context) => helper(...args.map(arg => arg(context)));
+  }
+}
+
+/**
+ * Compile an expression string
+ * @param {string} source - Expression source
+ * @returns {{ source: string, evaluate: function(object): * }} Compiled expression
+ * @throws {Error} If the expression is not valid in the expression language
+ */
+export function compileExpression(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw new Error('Expression must be a non-empty string');
+  }
+
+  const evaluate = new Parser(source).parse();
+
+  return {
+    source,
+    evaluate: (context = {}) => evaluate(context)
+  };
+}
+
+/**
+ * Compile every expression field in a mapping's "mappings" section
+ * @param {object} mappings - Mapping entries (key -> mapping)
+ * @param {string} protocol - 'midi' or 'hid' (selects expression fields)
+ * @returns {Map<string, object>} Expression source -> compiled expression
+ * @throws {Error} Naming the mapping key and field of the first invalid expression
+ */
+export function compileMappingExpressions(mappings, protocol) {
+  const fields = EXPRESSION_FIELDS[protocol] || EXPRESSION_FIELDS.midi;
+  const compiled = new Map();
+
+  for (const [key, mapping] of Object.entries(mappings || {})) {
+    if (key.startsWith('_') || !mapping || typeof mapping !== 'object') continue;
+
+    for (const field of fields) {
+      const source = field.split('.').reduce((object, part) => object?.[part], mapping);
+
+      if (source === undefined || compiled.has(source)) continue;
+
+      try {
+        compiled.set(source, compileExpression(source));
+      } catch (error) {
+        throw new Error(`Mapping "${key}" has invalid ${field} "${source}": ${error.message}`);
+      }
+    }
+  }
+
+  return compiled;
+}
+
+export default { compileExpression, compileMappingExpressions };
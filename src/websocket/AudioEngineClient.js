@@ -2,13 +2,37 @@ import WebSocket from 'ws';
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
 
+// Reply to each query command in the engine protocol (WEBSOCKET_COMMANDS.md)
+const REPLY_MATCHERS = {
+  'clock.getState': message => message.event === 'clockState',
+  // The getState reply has no documented event name; it is the full state (decks, mixer, ...).
+  // Incremental 'state' updates describe one deck or control and never carry "decks".
+  getState: message => message.decks !== null && typeof message.decks === 'object'
+};
+
 /**
  * WebSocket client for Audio Engine
  * Sends: Transport, jog, effect commands
  * Receives: Playback state, VU meters, waveform data
+ *
+ * Queries (getState, clock.getState, ...) go through request(). The documented engine
+ * protocol has no request IDs, so replies are matched by their expected event
+ * (REPLY_MATCHERS, oldest request first) and failures by the commandFailed
+ * message's command; an engine error naming no command fails the oldest request.
+ * The command is also tagged with a requestId; an engine that echoes it gets exact
+ * correlation. Commands with no known reply event (e.g. deck.getCuePoints) need
+ * such an engine or an explicit options.reply.
+ *
+ * Every (re)connect fetches a full `getState` snapshot, emitted as 'snapshot'
+ * ('snapshotFailed' with the error if the engine doesn't answer).
  */
 export class AudioEngineClient extends EventEmitter {
-  constructor(url) {
+  /**
+   * @param {string} url - Audio Engine WebSocket URL
+   * @param {object} [options]
+   * @param {number} [options.requestTimeout] - Default request() timeout in ms
+   */
+  constructor(url, options = {}) {
     super();
     this.url = url;
     this.ws = null;
@@ -17,6 +41,15 @@ export class AudioEngineClient extends EventEmitter {
     this.maxReconnectAttempts = Infinity;
     this.reconnectInterval = 5000; // Start with 5 seconds
     this.reconnectTimer = null;
+
+    // Request/response correlation
+    this.requestTimeout = options.requestTimeout ?? 5000;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map(); // requestId -> { command, matches, sentAt, resolve, reject, timer }
+    this.latencyStats = new Map(); // command -> { count, totalMs, minMs, maxMs, lastMs, timeouts, errors }
+
+    // Latest full state from getState (refreshed on every connect)
+    this.stateSnapshot = null;
   }
 
   /**
@@ -49,6 +82,9 @@ export class AudioEngineClient extends EventEmitter {
           // Subscribe to state updates
           this._subscribe();
 
+          // Incremental updates only describe changes; start from the full state
+          this._requestStateSnapshot();
+
           resolve();
         });
 
@@ -66,6 +102,7 @@ export class AudioEngineClient extends EventEmitter {
 
         this.ws.on('close', () => {
           this.connected = false;
+          this._rejectPendingRequests(new Error('Disconnected from Audio Engine'));
           logger.warn('Disconnected from Audio Engine');
           this.emit('disconnected');
 
@@ -117,6 +154,164 @@ export class AudioEngineClient extends EventEmitter {
     }
   }
 
+  /**
+   * Send a command and wait for the engine's reply
+   * The reply is the next message matching the command's reply event, or one echoing
+   * `requestId` if the engine supports it. A commandFailed message for the command rejects.
+   * @param {string} command - Command name (e.g., 'clock.getState')
+   * @param {object} [params] - Command parameters (e.g., { deck: 'A' })
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Timeout in ms (defaults to requestTimeout)
+   * @param {string|function(object): boolean} [options.reply] - Reply event name or matcher
+   *   (defaults to the command's entry in REPLY_MATCHERS)
+   * @returns {Promise<object>} Reply message
+   */
+  async request(command, params = {}, options = {}) {
+    if (!this.connected || !this.ws) {
+      throw new Error(`Cannot request ${command}: not connected to Audio Engine`);
+    }
+
+    const requestId = this.nextRequestId++;
+    const timeout = options.timeout ?? this.requestTimeout;
+    const matches = typeof options.reply === 'string'
+      ? message => message.event === options.reply
+      : options.reply || REPLY_MATCHERS[command] || null;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        this._getLatencyEntry(command).timeouts++;
+        reject(new Error(`Audio Engine request ${command} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, {
+        command,
+        matches,
+        sentAt: Date.now(),
+        resolve,
+        reject,
+        timer
+      });
+
+      try {
+        this.ws.send(JSON.stringify({ ...params, command, requestId }));
+      } catch (error) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(requestId);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Find the oldest pending request an uncorrelated message answers
+   * @private
+   * @returns {number|undefined} Request ID
+   */
+  _findPendingRequest(message) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      const failed = (message.event === 'commandFailed' || message.type === 'error') &&
+        (message.command === undefined ? message.type === 'error' : message.command === pending.command);
+
+      if (failed || pending.matches?.(message)) {
+        return requestId;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get per-command request latency
+   * @returns {object} command -> { count, avgMs, minMs, maxMs, lastMs, timeouts, errors }
+   */
+  getLatencyStats() {
+    const stats = {};
+
+    for (const [command, entry] of this.latencyStats) {
+      stats[command] = {
+        count: entry.count,
+        avgMs: entry.count > 0 ? Math.round(entry.totalMs / entry.count) : null,
+        minMs: entry.minMs,
+        maxMs: entry.maxMs,
+        lastMs: entry.lastMs,
+        timeouts: entry.timeouts,
+        errors: entry.errors
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Resolve or reject the pending request a reply belongs to
+   * @private
+   * @returns {boolean} True if the message was a reply to a pending request
+   */
+  _settleRequest(message) {
+    const requestId = message.requestId !== undefined
+      ? message.requestId
+      : this._findPendingRequest(message);
+    const pending = this.pendingRequests.get(requestId);
+
+    if (!pending) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+
+    const entry = this._getLatencyEntry(pending.command);
+    const latency = Date.now() - pending.sentAt;
+
+    entry.count++;
+    entry.totalMs += latency;
+    entry.lastMs = latency;
+    entry.minMs = entry.minMs === null ? latency : Math.min(entry.minMs, latency);
+    entry.maxMs = entry.maxMs === null ? latency : Math.max(entry.maxMs, latency);
+
+    if (message.type === 'error' || message.event === 'commandFailed') {
+      entry.errors++;
+      pending.reject(new Error(message.error || message.message || `Audio Engine request ${pending.command} failed`));
+    } else {
+      pending.resolve(message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Reject every pending request (connection lost)
+   * @private
+   */
+  _rejectPendingRequests(error) {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * @private
+   */
+  _getLatencyEntry(command) {
+    if (!this.latencyStats.has(command)) {
+      this.latencyStats.set(command, {
+        count: 0,
+        totalMs: 0,
+        minMs: null,
+        maxMs: null,
+        lastMs: null,
+        timeouts: 0,
+        errors: 0
+      });
+    }
+
+    return this.latencyStats.get(command);
+  }
+
   /**
    * Send critical-priority action (bypasses normal flow)
    * Used for jog wheels where latency is critical
@@ -162,11 +357,40 @@ export class AudioEngineClient extends EventEmitter {
     logger.debug('Subscribed to Audio Engine state updates');
   }
 
+  /**
+   * Fetch the engine's full state after (re)connecting
+   * @private
+   */
+  async _requestStateSnapshot() {
+    try {
+      const snapshot = await this.request('getState');
+
+      this.stateSnapshot = snapshot;
+      logger.info('Received Audio Engine state snapshot');
+      this.emit('snapshot', snapshot);
+    } catch (error) {
+      logger.warn('Failed to fetch Audio Engine state snapshot', { error: error.message });
+      this.emit('snapshotFailed', error);
+    }
+  }
+
+  /**
+   * Get the latest full state snapshot
+   * @returns {object|null} Snapshot from the last successful getState, or null
+   */
+  getStateSnapshot() {
+    return this.stateSnapshot;
+  }
+
   /**
    * Handle incoming message from Audio Engine
    * @private
    */
   _handleMessage(message) {
+    if (this.pendingRequests.size > 0 && this._settleRequest(message)) {
+      return;
+    }
+
     if (message.type === 'state') {
       this.emit('state', message);
     } else if (message.type === 'error') {
@@ -221,6 +445,7 @@ export class AudioEngineClient extends EventEmitter {
     }
 
     this.connected = false;
+    this._rejectPendingRequests(new Error('Disconnected from Audio Engine'));
     logger.info('Disconnected from Audio Engine');
   }
 
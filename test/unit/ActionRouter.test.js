@@ -0,0 +1,244 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { ActionRouter } from '../../src/mapping/ActionRouter.js';
+
+const createAudioClient = () => {
+  const client = new EventEmitter();
+  client.connected = true;
+  client.sent = [];
+  client.isConnected = () => client.connected;
+  client.send = async (message) => {
+    client.sent.push(message);
+    return true;
+  };
+  client.request = async () => ({});
+
+  return client;
+};
+
+const fader = (value, extra = {}) => ({
+  type: 'mixer',
+  command: 'mixer.setVolume',
+  target: 'audio',
+  priority: 'normal',
+  deck: 'A',
+  control: 'volume',
+  continuous: true,
+  value,
+  ...extra
+});
+
+const play = { type: 'transport', command: 'deck.play', target: 'audio', priority: 'high', deck: 'A' };
+
+const commandsOf = (client) => client.sent.map(message => `${message.command}:${message.value ?? ''}`);
+
+describe('ActionRouter offline policy', () => {
+  let audio;
+  let router;
+
+  const createRouter = (options) => {
+    router = new ActionRouter({ audio }, options);
+    return router;
+  };
+
+  beforeEach(() => {
+    audio = createAudioClient();
+  });
+
+  afterEach(async () => {
+    await router.shutdown(100);
+  });
+
+  test('drops transport and remembers the latest position by default', async () => {
+    createRouter();
+    audio.connected = false;
+
+    await router._sendAction(play);
+    await router._sendAction(fader(0.2));
+    await router._sendAction(fader(0.7));
+
+    expect(router.stats.offlineDropped).toBe(1);
+    expect([...router.offlineSnapshot.values()].map(action => action.value)).toEqual([0.7]);
+  });
+
+  test('buffers up to maxOfflineBuffer and keeps none with 0', async () => {
+    createRouter({ offlinePolicy: { transport: 'buffer' }, maxOfflineBuffer: 1 });
+    audio.connected = false;
+
+    await router._sendAction(play);
+    await router._sendAction({ ...play, command: 'deck.cue' });
+
+    expect(router.offlineBuffer.map(action => action.command)).toEqual(['deck.play']);
+
+    const empty = new ActionRouter({ audio }, { offlinePolicy: { transport: 'buffer' }, maxOfflineBuffer: 0 });
+    await empty._sendAction(play);
+
+    expect(empty.offlineBuffer).toEqual([]);
+    expect(empty.stats.offlineDropped).toBe(1);
+  });
+
+  test('replays positions, then buffered actions, after the snapshot', async () => {
+    createRouter({ offlinePolicy: { transport: 'buffer' } });
+    audio.connected = false;
+
+    await router._sendAction(play);
+    await router._sendAction(fader(0.4));
+
+    audio.connected = true;
+    audio.emit('connected');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(audio.sent).toEqual([]);
+
+    audio.emit('snapshot', { decks: {} });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(commandsOf(audio)).toEqual(['mixer.setVolume:0.4', 'deck.play:']);
+    expect(router.stats.offlineReplayed).toBe(2);
+  });
+
+  test('replays when the snapshot could not be fetched', async () => {
+    createRouter();
+    audio.connected = false;
+
+    await router._sendAction(fader(0.4));
+
+    audio.connected = true;
+    audio.emit('snapshotFailed', new Error('timed out'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(commandsOf(audio)).toEqual(['mixer.setVolume:0.4']);
+  });
+
+  test('does not replay a position moved again after reconnecting', async () => {
+    createRouter();
+    audio.connected = false;
+
+    await router._sendAction(fader(0.4));
+    await router._sendAction(fader(0.1, { deck: 'B' }));
+
+    audio.connected = true;
+    await router._sendAction(fader(0.9));
+
+    audio.emit('snapshot', { decks: {} });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(commandsOf(audio)).toEqual(['mixer.setVolume:0.9', 'mixer.setVolume:0.1']);
+  });
+});
+
+describe('ActionRouter coalescing', () => {
+  let audio;
+  let router;
+
+  const encoder = (delta, extra = {}) => ({
+    type: 'library',
+    command: 'library.scroll',
+    target: 'audio',
+    priority: 'normal',
+    control: 'browse',
+    delta,
+    direction: delta > 0 ? 'down' : 'up',
+    ...extra
+  });
+
+  beforeEach(() => {
+    audio = createAudioClient();
+    router = new ActionRouter({ audio });
+  });
+
+  afterEach(async () => {
+    await router.shutdown(100);
+  });
+
+  test('keeps the latest absolute value per control', async () => {
+    router.route(fader(0.1));
+    router.route(fader(0.2));
+    router.route(fader(0.3, { deck: 'B' }));
+    router.route(fader(0.4));
+    await router.drainPromise;
+
+    expect(commandsOf(audio)).toEqual(['mixer.setVolume:0.4', 'mixer.setVolume:0.3']);
+    expect(router.stats.coalescedActions).toBe(2);
+  });
+
+  test('sums relative deltas per source device', async () => {
+    router.route(encoder(1, { deviceId: 'flx4' }));
+    router.route(encoder(1, { deviceId: 'z1' }));
+    router.route(encoder(2, { deviceId: 'flx4' }));
+    await router.drainPromise;
+
+    expect(audio.sent.map(message => message.delta)).toEqual([3, 1]);
+  });
+
+  test('drops deltas that cancel out while queued', async () => {
+    router.route(encoder(2));
+    router.route(encoder(-2));
+    await router.drainPromise;
+
+    expect(audio.sent).toEqual([]);
+  });
+
+  test('does not coalesce high-priority actions', async () => {
+    router.route(play);
+    router.route(play);
+    await router.drainPromise;
+
+    expect(audio.sent).toHaveLength(2);
+  });
+});
+
+describe('ActionRouter drain', () => {
+  let audio;
+  let router;
+
+  beforeEach(() => {
+    audio = createAudioClient();
+    router = new ActionRouter({ audio });
+  });
+
+  afterEach(async () => {
+    await router.shutdown(100);
+  });
+
+  test('sends high priority first and goes idle when empty', async () => {
+    router.route(fader(0.5));
+    router.route(play);
+
+    expect(router.isDraining).toBe(true);
+    await router.drainPromise;
+
+    expect(commandsOf(audio)).toEqual(['deck.play:', 'mixer.setVolume:0.5']);
+    expect(router.isDraining).toBe(false);
+    expect(router.drainPromise).toBeNull();
+  });
+
+  test('sends critical actions without queueing', async () => {
+    await router.route({ ...play, command: 'deck.scratch', priority: 'critical', value: 1 });
+
+    expect(commandsOf(audio)).toEqual(['deck.scratch:1']);
+    expect(router.isDraining).toBe(false);
+  });
+
+  test('holds queued actions while paused', async () => {
+    router.pause();
+    router.route(play);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(audio.sent).toEqual([]);
+
+    router.resume();
+    await router.drainPromise;
+
+    expect(commandsOf(audio)).toEqual(['deck.play:']);
+  });
+
+  test('sends what is queued on shutdown and then refuses actions', async () => {
+    router.pause();
+    router.route(play);
+
+    expect(await router.shutdown(100)).toEqual({ high: 0, normal: 0 });
+    expect(commandsOf(audio)).toEqual(['deck.play:']);
+    expect(await router.route(play)).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { AudioEngineClient } from '../../src/websocket/AudioEngineClient.js';
+
+const FULL_STATE = { decks: { A: { playing: false } }, mixer: { crossfader: 0.5 } };
+
+describe('AudioEngineClient request()', () => {
+  let client;
+  let sent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    client = new AudioEngineClient('ws://engine', { requestTimeout: 1000 });
+    client.connected = true;
+    client.ws = { send: (data) => sent.push(JSON.parse(data)) };
+  });
+
+  afterEach(() => {
+    client._rejectPendingRequests(new Error('test done'));
+    jest.useRealTimers();
+  });
+
+  test('tags the command with a requestId', () => {
+    client.request('clock.getState').catch(() => {});
+
+    expect(sent).toEqual([{ command: 'clock.getState', requestId: 1 }]);
+  });
+
+  test('resolves with the reply that echoes the requestId', async () => {
+    const reply = client.request('deck.getCuePoints', { deck: 'A' });
+
+    client._handleMessage({ requestId: 1, cuePoints: [] });
+
+    await expect(reply).resolves.toEqual({ requestId: 1, cuePoints: [] });
+  });
+
+  test('resolves with the expected reply event', async () => {
+    const reply = client.request('clock.getState');
+
+    client._handleMessage({ event: 'clockState', bpm: 124 });
+
+    await expect(reply).resolves.toEqual({ event: 'clockState', bpm: 124 });
+  });
+
+  test('getState ignores incremental state updates', async () => {
+    const states = [];
+    client.on('state', (message) => states.push(message));
+
+    const reply = client.request('getState');
+    client._handleMessage({ type: 'state', deck: 'A', vuMeter: 0.4 });
+    client._handleMessage(FULL_STATE);
+
+    await expect(reply).resolves.toEqual(FULL_STATE);
+    expect(states).toEqual([{ type: 'state', deck: 'A', vuMeter: 0.4 }]);
+  });
+
+  test('settles the oldest matching request first', async () => {
+    const first = client.request('clock.getState');
+    const second = client.request('clock.getState');
+
+    client._handleMessage({ event: 'clockState', bpm: 120 });
+    client._handleMessage({ event: 'clockState', bpm: 121 });
+
+    await expect(first).resolves.toMatchObject({ bpm: 120 });
+    await expect(second).resolves.toMatchObject({ bpm: 121 });
+  });
+
+  test('rejects on commandFailed for the same command', async () => {
+    const clock = client.request('clock.getState');
+    const state = client.request('getState');
+
+    client._handleMessage({ event: 'commandFailed', command: 'getState', error: 'Busy' });
+
+    await expect(state).rejects.toThrow('Busy');
+    expect(client.pendingRequests.size).toBe(1);
+    client._handleMessage({ event: 'clockState' });
+    await expect(clock).resolves.toBeDefined();
+  });
+
+  test('rejects the oldest request on an engine error without a command', async () => {
+    const errors = [];
+    client.on('error', (error) => errors.push(error));
+
+    const reply = client.request('getState');
+    client._handleMessage({ type: 'error', error: 'Engine not ready' });
+
+    await expect(reply).rejects.toThrow('Engine not ready');
+    expect(client.getLatencyStats().getState.errors).toBe(1);
+    expect(errors).toEqual([]);
+  });
+
+  test('uses options.reply as event name', async () => {
+    const reply = client.request('deck.getCuePoints', { deck: 'A' }, { reply: 'cuePoints' });
+
+    client._handleMessage({ event: 'clockState' });
+    client._handleMessage({ event: 'cuePoints', deck: 'A' });
+
+    await expect(reply).resolves.toEqual({ event: 'cuePoints', deck: 'A' });
+  });
+
+  test('times out and counts the timeout', async () => {
+    const reply = client.request('deck.getCuePoints');
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(reply).rejects.toThrow('timed out after 1000ms');
+    expect(client.getLatencyStats()['deck.getCuePoints'].timeouts).toBe(1);
+  });
+
+  test('passes unrelated messages on while a request is pending', () => {
+    const messages = [];
+    client.on('message', (message) => messages.push(message));
+
+    client.request('clock.getState').catch(() => {});
+    client._handleMessage({ event: 'trackLoaded', deck: 'A' });
+
+    expect(messages).toEqual([{ event: 'trackLoaded', deck: 'A' }]);
+    expect(client.pendingRequests.size).toBe(1);
+  });
+
+  test('rejects when not connected', async () => {
+    client.connected = false;
+
+    await expect(client.request('getState')).rejects.toThrow('not connected');
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { FeedbackManager } from '../../src/feedback/FeedbackManager.js';
+
+const createManager = () => {
+  const audio = new EventEmitter();
+  audio.getStateSnapshot = () => null;
+
+  const midiManager = { getConnectedDevices: () => [] };
+
+  return new FeedbackManager(midiManager, null, { audio }, null);
+};
+
+describe('FeedbackManager.applySnapshot', () => {
+  let manager;
+  let snapshots;
+
+  beforeEach(() => {
+    manager = createManager();
+    snapshots = [];
+    manager.on('state:snapshot', (state) => snapshots.push(state));
+  });
+
+  test('replaces the model with a full snapshot', async () => {
+    manager.state.deckA.playback.playing = true;
+
+    await manager.applySnapshot({
+      decks: { A: { tempo: { bpm: 128 } }, C: { playback: { playing: true } } },
+      mixer: { crossfader: 0.25 }
+    });
+
+    expect(manager.state.deckA.playback.playing).toBe(false);
+    expect(manager.state.deckA.tempo.bpm).toBe(128);
+    expect(manager.state.deckC.playback.playing).toBe(true);
+    expect(manager.state.mixer.crossfader).toBe(0.25);
+    expect(snapshots).toHaveLength(1);
+  });
+
+  test('accepts decks as an array and a wrapped state', async () => {
+    await manager.applySnapshot({ state: { decks: [{ deck: 'B', tempo: { bpm: 100 } }] } });
+
+    expect(manager.state.deckB.tempo.bpm).toBe(100);
+  });
+
+  test('ignores messages that are not a full state', async () => {
+    manager.state.deckA.playback.playing = true;
+    manager.state.mixer.crossfader = 0.75;
+
+    await manager.applySnapshot({ type: 'state', deck: 'A', vuMeter: { peak: 0.4 } });
+    await manager.applySnapshot({ deckA: { playback: { playing: false } } });
+
+    expect(manager.state.deckA.playback.playing).toBe(true);
+    expect(manager.state.mixer.crossfader).toBe(0.75);
+    expect(snapshots).toEqual([]);
+  });
+
+  test('keeps defaults for null and primitive deck sections', async () => {
+    await manager.applySnapshot({
+      decks: { A: { playback: null, sync: 'on', tempo: { bpm: 90 } }, B: null }
+    });
+
+    expect(manager.state.deckA.playback).toEqual({ playing: false, paused: false, cued: false });
+    expect(manager.state.deckA.sync).toEqual({ enabled: false, locked: false });
+    expect(manager.state.deckA.tempo.bpm).toBe(90);
+    expect(manager.state.deckB.playback.playing).toBe(false);
+  });
+
+  test('keeps library state from the App Server', async () => {
+    manager.state.library.selectedTrack = { title: 'Track' };
+
+    await manager.applySnapshot({ decks: {} });
+
+    expect(manager.state.library.selectedTrack).toEqual({ title: 'Track' });
+  });
+});
+
+describe('FeedbackManager feedback devices', () => {
+  test('skips MIDI and HID devices without a mapping', () => {
+    const audio = new EventEmitter();
+    audio.getStateSnapshot = () => null;
+
+    const midiManager = {
+      getConnectedDevices: () => [
+        { deviceId: 'midi-1', name: 'DDJ-FLX4', hasOutput: true, config: { device: {} } },
+        { deviceId: 'midi-2', name: 'Identifying', hasOutput: true, config: null },
+        { deviceId: 'midi-3', name: 'Input only', hasOutput: false, config: { device: {} } }
+      ]
+    };
+    const hidManager = {
+      getConnectedDevices: () => [
+        { deviceId: 'hid-1', product: 'Traktor Z1', config: { device: {} } },
+        { deviceId: 'hid-2', product: 'Unmapped', config: null }
+      ]
+    };
+
+    const manager = new FeedbackManager(midiManager, hidManager, { audio }, null);
+
+    expect(manager._getFeedbackDevices().map(device => device.deviceId)).toEqual(['midi-1', 'hid-1']);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals';
+import { compileMappingCurves, createCurve } from '../../src/translators/curves.js';
+
+describe('createCurve', () => {
+  test('linear passes positions through and clamps them', () => {
+    const curve = createCurve('linear');
+
+    expect(curve(0.25)).toBe(0.25);
+    expect(curve(-1)).toBe(0);
+    expect(curve(2)).toBe(1);
+  });
+
+  test('log, exp and sCurve keep the end stops', () => {
+    for (const type of ['log', 'exp', 'sCurve']) {
+      const curve = createCurve(type);
+
+      expect(curve(0)).toBeCloseTo(0);
+      expect(curve(1)).toBeCloseTo(1);
+    }
+  });
+
+  test('log rises fast and exp rises late', () => {
+    expect(createCurve('log')(0.5)).toBeGreaterThan(0.5);
+    expect(createCurve('exp')(0.5)).toBeLessThan(0.5);
+    expect(createCurve('sCurve')(0.5)).toBeCloseTo(0.5);
+  });
+
+  test('table interpolates between points', () => {
+    const curve = createCurve({ type: 'table', points: [[0, 0], [0.5, 0.8], [1, 1]] });
+
+    expect(curve(0.25)).toBeCloseTo(0.4);
+    expect(curve(0.75)).toBeCloseTo(0.9);
+  });
+
+  test('applies invert, detent and range', () => {
+    expect(createCurve({ type: 'linear', invert: true })(0.2)).toBeCloseTo(0.8);
+    expect(createCurve({ type: 'linear', detent: true })(0.52)).toBe(0.5);
+    expect(createCurve({ type: 'linear', detent: true })(1)).toBeCloseTo(1);
+    expect(createCurve({ type: 'linear', range: [1, 0] })(0.25)).toBeCloseTo(0.75);
+  });
+
+  test('rejects invalid curves', () => {
+    expect(() => createCurve('cubic')).toThrow('Unknown curve "cubic"');
+    expect(() => createCurve({ type: 'log', amount: 0 })).toThrow('invalid "amount"');
+    expect(() => createCurve({ type: 'table', points: [[0, 0]] })).toThrow('at least two');
+    expect(() => createCurve({ type: 'table', points: [[0.5, 0], [0.5, 1]] })).toThrow('increasing inputs');
+    expect(() => createCurve({ type: 'linear', detent: { center: 0.5, deadZone: 0.6 } })).toThrow('"detent"');
+    expect(() => createCurve({ type: 'linear', range: [0] })).toThrow('"range"');
+  });
+});
+
+describe('compileMappingCurves', () => {
+  test('builds curves for mappings that declare one', () => {
+    const curves = compileMappingCurves({
+      _comment: 'skipped',
+      volume: { curve: 'log' },
+      pitch: { action: { command: 'x' } }
+    });
+
+    expect([...curves.keys()]).toEqual(['volume']);
+  });
+
+  test('names the mapping of an invalid curve', () => {
+    expect(() => compileMappingCurves({ volume: { curve: 'cubic' } }))
+      .toThrow('Mapping "volume" has invalid curve');
+  });
+});
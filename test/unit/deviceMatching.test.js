@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals';
+import { rankMappings, validateDeviceMatch } from '../../src/mapping/deviceMatching.js';
+
+const mapping = (name, match) => ({ device: { name, protocol: 'midi', ...(match && { match }) }, mappings: {} });
+
+const FLX4 = mapping('Pioneer DDJ-FLX4', [
+  { identity: { manufacturer: '00 40 05' }, name: 'DDJ-FLX4', priority: 100 },
+  { name: '\\bDDJ-FLX4\\b', priority: 50 }
+]);
+
+const PIONEER = { manufacturer: '00 40 05', manufacturerId: [0x00, 0x40, 0x05], family: 0x92, model: 0x34 };
+
+const files = (matches) => matches.map(match => match.file);
+
+describe('validateDeviceMatch', () => {
+  test('accepts rules with a name, an identity or both', () => {
+    expect(() => validateDeviceMatch(FLX4.device.match)).not.toThrow();
+    expect(() => validateDeviceMatch(undefined)).not.toThrow();
+  });
+
+  test('rejects invalid rules with their index', () => {
+    expect(() => validateDeviceMatch([])).toThrow('non-empty list');
+    expect(() => validateDeviceMatch([{}])).toThrow('rule 0: must include "name" and/or "identity"');
+    expect(() => validateDeviceMatch([{ name: 'x' }, { name: '(' }])).toThrow('rule 1: "name" is not a valid regular expression');
+    expect(() => validateDeviceMatch([{ identity: { manufacturer: '01 02' } }])).toThrow('one byte or three bytes');
+    expect(() => validateDeviceMatch([{ name: 'x', foo: 1 }])).toThrow('unknown field "foo"');
+    expect(() => validateDeviceMatch([{ name: 'x', priority: 'high' }])).toThrow('"priority" must be a number');
+  });
+});
+
+describe('rankMappings', () => {
+  test('prefers the identity rule over the name rule', () => {
+    const [best] = rankMappings([['ddj-flx4', FLX4]], { name: 'DDJ-FLX4', identity: PIONEER });
+
+    expect(best).toMatchObject({ file: 'ddj-flx4', priority: 100, rule: 'identity + name /DDJ-FLX4/' });
+  });
+
+  test('matches name patterns without an identity', () => {
+    const [best] = rankMappings([['ddj-flx4', FLX4]], { name: 'PIONEER DDJ-FLX4 MIDI 1', identity: null });
+
+    expect(best).toMatchObject({ priority: 50, rule: 'name /\\bDDJ-FLX4\\b/' });
+    expect(rankMappings([['ddj-flx4', FLX4]], { name: 'DDJ-FLX40', identity: null })).toEqual([]);
+  });
+
+  test('breaks ties by file name, not load order', () => {
+    const rule = [{ name: 'x', priority: 5 }];
+
+    expect(files(rankMappings([['b', mapping('B', rule)], ['a', mapping('A', rule)]], { name: 'x' }))).toEqual(['a', 'b']);
+  });
+
+  test('matches mappings without rules by exact device or file name', () => {
+    const entries = [['traktor-z1', mapping('Traktor Kontrol Z1')]];
+
+    expect(rankMappings(entries, { name: 'traktor kontrol z1' })[0].rule).toBe('exact name');
+    expect(rankMappings(entries, { name: 'TRAKTOR-Z1' })[0].rule).toBe('exact name');
+  });
+
+  test('falls back to partial names for mappings without rules', () => {
+    const entries = [['ddj-400', mapping('DDJ-400')]];
+
+    expect(rankMappings(entries, { name: 'DDJ-400 MIDI 1' })[0].rule).toBe('partial name');
+    expect(rankMappings(entries, { name: 'DDJ' })[0].rule).toBe('partial name');
+    expect(rankMappings(entries, { name: 'Other Controller' })).toEqual([]);
+  });
+
+  test('ranks partial names below every other rule', () => {
+    const entries = [
+      ['ddj-flx4-custom', mapping('DDJ-FLX4')],
+      ['pioneer', mapping('Pioneer', [{ name: 'DDJ', priority: -10 }])]
+    ];
+
+    expect(files(rankMappings(entries, { name: 'DDJ-FLX4 MIDI 1' }))).toEqual(['pioneer', 'ddj-flx4-custom']);
+  });
+});
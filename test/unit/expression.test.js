@@ -0,0 +1,88 @@
+import { describe, test, expect } from '@jest/globals';
+import { compileExpression, compileMappingExpressions } from '../../src/utils/expression.js';
+
+const evaluate = (source, context) => compileExpression(source).evaluate(context);
+
+describe('compileExpression', () => {
+  test('evaluates arithmetic with precedence', () => {
+    expect(evaluate('1 + 2 * 3 - 4 / 2')).toBe(5);
+    expect(evaluate('(1 + 2) * 3 % 5')).toBe(4);
+    expect(evaluate('-value + +2', { value: 3 })).toBe(-1);
+  });
+
+  test('evaluates comparisons, logic and ternaries', () => {
+    expect(evaluate("value > 64 ? 'down' : 'up'", { value: 65 })).toBe('down');
+    expect(evaluate("value > 64 ? 'down' : 'up'", { value: 64 })).toBe('up');
+    expect(evaluate('shift && !ctrl || false', { shift: true, ctrl: false })).toBe(true);
+  });
+
+  test('compares strictly', () => {
+    expect(evaluate("value == '1'", { value: 1 })).toBe(false);
+    expect(evaluate('value != null', { value: 0 })).toBe(true);
+  });
+
+  test('reads context properties', () => {
+    const context = { state: { shift: true, padMode: 'hotcue' }, list: [4, 5] };
+
+    expect(evaluate('state.shift', context)).toBe(true);
+    expect(evaluate("state['padMode']", context)).toBe('hotcue');
+    expect(evaluate('list[1]', context)).toBe(5);
+    expect(evaluate('missing.value', context)).toBeUndefined();
+  });
+
+  test('does not reach the prototype chain', () => {
+    expect(evaluate('constructor', {})).toBeUndefined();
+    expect(evaluate("value['__proto__']", { value: {} })).toBeUndefined();
+    expect(evaluate('value.toString', { value: 'text' })).toBeUndefined();
+  });
+
+  test('calls helpers, also through Math', () => {
+    expect(evaluate('clamp(value, 0, 1)', { value: 2 })).toBe(1);
+    expect(evaluate('Math.round(value * 10) / 10', { value: 0.46 })).toBe(0.5);
+    expect(evaluate('max(1, min(5, 3))')).toBe(3);
+  });
+
+  test('rejects empty expressions', () => {
+    expect(() => compileExpression('')).toThrow('non-empty string');
+    expect(() => compileExpression(42)).toThrow('non-empty string');
+  });
+
+  test('reports parse errors with their position', () => {
+    expect(() => compileExpression('value >')).toThrow('Unexpected end of expression at position 7');
+    expect(() => compileExpression('(value')).toThrow('Expected ")" but found end of expression');
+    expect(() => compileExpression('value 1')).toThrow('Unexpected "1" at position 6');
+    expect(() => compileExpression("'open")).toThrow('Unterminated string at position 0');
+    expect(() => compileExpression('value = 1')).toThrow('Unexpected character "="');
+    expect(() => compileExpression('a ? b')).toThrow('Expected ":"');
+  });
+
+  test('rejects unknown functions', () => {
+    expect(() => compileExpression('eval(value)')).toThrow('Unknown function "eval"');
+    expect(() => compileExpression('Math.random()')).toThrow('Unknown function "random"');
+  });
+});
+
+describe('compileMappingExpressions', () => {
+  test('compiles each expression field once', () => {
+    const compiled = compileMappingExpressions({
+      _comment: 'skipped',
+      a: { condition: 'shift', action: { valueExpression: 'value / 127' } },
+      b: { condition: 'shift', action: { command: 'x' } }
+    }, 'midi');
+
+    expect([...compiled.keys()]).toEqual(['shift', 'value / 127']);
+    expect(compiled.get('value / 127').evaluate({ value: 127 })).toBe(1);
+  });
+
+  test('compiles action.mode for HID mappings only', () => {
+    const mappings = { wheel: { action: { mode: "shift ? 'seek' : 'scratch'" } } };
+
+    expect(compileMappingExpressions(mappings, 'midi').size).toBe(0);
+    expect(compileMappingExpressions(mappings, 'hid').size).toBe(1);
+  });
+
+  test('names the mapping and field of an invalid expression', () => {
+    expect(() => compileMappingExpressions({ knob: { action: { direction: 'value >' } } }, 'midi'))
+      .toThrow('Mapping "knob" has invalid action.direction "value >"');
+  });
+});
@@ -0,0 +1,160 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { getHighResPairs, HighResCCPairer } from '../../src/managers/highResCC.js';
+
+const control = (midi) => ({ midi: { type: 'cc', channel: 0, ...midi }, action: { command: 'x' } });
+const cc = (controller, value, channel = 0) => ({ type: 'cc', channel, controller, value });
+
+describe('getHighResPairs', () => {
+  test('pairs CC 0-31 with controller + 32 by default', () => {
+    const pairs = getHighResPairs({ fader: control({ controller: 19, highRes: true }) });
+
+    expect(pairs.get('0:19')).toEqual({ channel: 0, msb: 19, lsb: 51, order: 'msbFirst' });
+    expect(pairs.get('0:51')).toBe(pairs.get('0:19'));
+  });
+
+  test('ignores controls without highRes and meta fields', () => {
+    const pairs = getHighResPairs({
+      _comment: 'not a control',
+      knob: control({ controller: 19 }),
+      lsbKnob: control({ controller: 51 })
+    });
+
+    expect(pairs.size).toBe(0);
+  });
+
+  test('requires "lsb" above CC 31', () => {
+    expect(() => getHighResPairs({ fader: control({ controller: 70, highRes: true }) }))
+      .toThrow('needs "lsb"');
+  });
+
+  test('rejects "lsb"/"order" without highRes', () => {
+    expect(() => getHighResPairs({ fader: control({ controller: 19, lsb: 51 }) }))
+      .toThrow('without "highRes": true');
+  });
+
+  test('rejects an unknown order', () => {
+    expect(() => getHighResPairs({ fader: control({ controller: 19, highRes: true, order: 'both' }) }))
+      .toThrow('invalid "order"');
+  });
+
+  test('accepts layered mappings that declare the same pair', () => {
+    const pairs = getHighResPairs({
+      fader: control({ controller: 19, highRes: true }),
+      fader_shift: control({ controller: 19, highRes: true })
+    });
+
+    expect(pairs.size).toBe(2);
+  });
+
+  test('rejects overlapping pairs', () => {
+    expect(() => getHighResPairs({
+      fader: control({ controller: 19, highRes: true }),
+      other: control({ controller: 20, highRes: true, lsb: 51 })
+    })).toThrow('conflicts with another 14-bit control');
+  });
+
+  test('rejects a 7-bit control on a declared LSB', () => {
+    expect(() => getHighResPairs({
+      fader: control({ controller: 19, highRes: true }),
+      knob: control({ controller: 51 })
+    })).toThrow('the LSB of 14-bit CC 19');
+  });
+});
+
+describe('HighResCCPairer', () => {
+  let events;
+
+  const createPairer = (mappings) => new HighResCCPairer(mappings, {
+    timeout: 50,
+    emit: (event) => events.push(event)
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    events = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('leaves undeclared CCs alone', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    expect(pairer.process(cc(20, 64))).toBe(false);
+    expect(pairer.process(cc(51, 64, 1))).toBe(false);
+    expect(events).toEqual([]);
+  });
+
+  test('emits one 14-bit event per MSB-first pair', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    expect(pairer.process(cc(19, 64))).toBe(true);
+    expect(events).toEqual([]);
+
+    expect(pairer.process(cc(51, 1))).toBe(true);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ controller: 19, value: 8193, msb: 64, lsb: 1, highRes: true, lsbController: 51 });
+    expect(events[0].normalized).toBeCloseTo(8193 / 16383);
+  });
+
+  test('emits one 14-bit event per LSB-first pair', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true, order: 'lsbFirst' }) });
+
+    pairer.process(cc(51, 127));
+    expect(events).toEqual([]);
+
+    pairer.process(cc(19, 127));
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ value: 16383, normalized: 1 });
+  });
+
+  test('emits an MSB with LSB 0 when its LSB times out', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    pairer.process(cc(19, 100));
+    jest.advanceTimersByTime(49);
+    expect(events).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ value: 100 << 7, msb: 100, lsb: 0 });
+  });
+
+  test('emits a pending MSB when the next MSB arrives first', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    pairer.process(cc(19, 10));
+    pairer.process(cc(19, 11));
+    pairer.process(cc(51, 5));
+
+    expect(events.map(event => event.value)).toEqual([10 << 7, (11 << 7) + 5]);
+  });
+
+  test('treats a lone LSB as a fine adjustment of the last MSB', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    pairer.process(cc(19, 64));
+    pairer.process(cc(51, 0));
+    pairer.process(cc(51, 10));
+
+    expect(events.map(event => event.value)).toEqual([64 << 7, (64 << 7) + 10]);
+  });
+
+  test('drops an LSB before any MSB', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    expect(pairer.process(cc(51, 10))).toBe(true);
+    expect(events).toEqual([]);
+  });
+
+  test('dispose cancels pending halves', () => {
+    const pairer = createPairer({ fader: control({ controller: 19, highRes: true }) });
+
+    pairer.process(cc(19, 64));
+    pairer.dispose();
+    jest.advanceTimersByTime(100);
+
+    expect(events).toEqual([]);
+  });
+});
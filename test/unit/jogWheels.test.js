@@ -0,0 +1,149 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { JogWheels, validateJogWheels } from '../../src/translators/jogWheels.js';
+
+const deckLayers = { resolve: (deck) => deck };
+
+describe('validateJogWheels', () => {
+  test('requires a deck per wheel', () => {
+    expect(() => validateJogWheels({ left: {} })).toThrow('must include "deck"');
+  });
+
+  test('rejects invalid tuning values', () => {
+    expect(() => validateJogWheels({ left: { deck: 'A', updateMs: 0 } })).toThrow('invalid "updateMs"');
+    expect(() => validateJogWheels({ left: { deck: 'A', rampFactor: 1 } })).toThrow('"rampFactor" < 1');
+    expect(() => validateJogWheels({ left: { deck: 'A', release: 'stop' } })).toThrow('invalid "release"');
+    expect(() => validateJogWheels({ left: { deck: 'A', bendAcceleration: -1 } })).toThrow('invalid "bendAcceleration"');
+  });
+
+  test('accepts a linear bend', () => {
+    expect(() => validateJogWheels({ left: { deck: 'A', bendAcceleration: 0 } })).not.toThrow();
+  });
+});
+
+describe('JogWheels', () => {
+  let actions;
+  let playing;
+
+  const createWheels = (config = {}) => new JogWheels({ left: { deck: 'A', ...config } }, {
+    deckLayers,
+    getState: () => ({ deckA: { playback: { playing } } }),
+    emit: (action) => actions.push(action)
+  });
+
+  const commands = (command) => actions.filter(action => action.command === command);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    actions = [];
+    playing = true;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends at most one deck.scratch per update while scratching', () => {
+    const wheels = createWheels();
+
+    wheels.touch('left', true);
+    expect(actions.map(action => action.command)).toEqual(['deck.scratchStart', 'deck.scratch']);
+
+    // A wheel reporting every 2 ms for 200 ms
+    for (let ms = 0; ms < 200; ms += 2) {
+      wheels.turn('left', 4);
+      jest.advanceTimersByTime(2);
+    }
+
+    expect(commands('deck.scratch').length).toBeLessThanOrEqual(1 + 200 / 10);
+    expect(commands('deck.scratch').at(-1).value).toBeGreaterThan(0);
+    expect(actions.every(action => action.priority === 'critical' && action.deck === 'A')).toBe(true);
+
+    wheels.reset();
+  });
+
+  test('ramps back to playback after release', () => {
+    const wheels = createWheels();
+
+    wheels.touch('left', true);
+    wheels.touch('left', false);
+    jest.advanceTimersByTime(1000);
+
+    expect(commands('deck.scratch').at(-1).value).toBe(1);
+    expect(actions.at(-1).command).toBe('deck.scratchEnd');
+  });
+
+  test('brake release pauses a playing deck', () => {
+    const wheels = createWheels({ release: 'brake' });
+
+    wheels.touch('left', true);
+    wheels.touch('left', false);
+
+    expect(actions.map(action => action.command)).toEqual([
+      'deck.scratchStart', 'deck.scratch', 'deck.pause', 'deck.scratchEnd'
+    ]);
+  });
+
+  test('combines bend ticks into one deck.nudge per update', () => {
+    const wheels = createWheels({ bendAcceleration: 0 });
+
+    for (let ms = 0; ms < 100; ms += 2) {
+      wheels.turn('left', 1);
+      jest.advanceTimersByTime(2);
+    }
+
+    const nudges = commands('deck.nudge');
+    const total = nudges.reduce((sum, action) => sum + action.delta, 0);
+
+    expect(commands('deck.nudgeStart')).toHaveLength(1);
+    expect(nudges.length).toBeLessThanOrEqual(100 / 10);
+    expect(total).toBeCloseTo(50 / 720 * 0.1);
+
+    jest.advanceTimersByTime(150);
+    expect(actions.at(-1).command).toBe('deck.nudgeEnd');
+  });
+
+  test('bends a paused deck by position', () => {
+    playing = false;
+    const wheels = createWheels({ bendAcceleration: 0 });
+
+    wheels.turn('left', 720);
+    jest.advanceTimersByTime(10);
+
+    expect(commands('deck.nudge')[0].delta).toBeCloseTo(60 / (33 + 1 / 3));
+    wheels.reset();
+  });
+
+  test('accelerates fast turns', () => {
+    const slow = createWheels();
+
+    slow.turn('left', 1);
+    jest.advanceTimersByTime(10);
+    const slowDelta = commands('deck.nudge')[0].delta;
+    slow.reset();
+
+    actions = [];
+    const fast = createWheels();
+
+    fast.turn('left', 36);
+    jest.advanceTimersByTime(10);
+    const fastDelta = commands('deck.nudge')[0].delta;
+    fast.reset();
+
+    // 1 tick and 36 ticks in 10 ms: 0.14 and 5 revolutions per second
+    expect(slowDelta).toBeCloseTo(1 / 720 * (1 + 1 / 720 / 0.01) * 0.1);
+    expect(fastDelta).toBeCloseTo(36 / 720 * (1 + 5) * 0.1);
+  });
+
+  test('touching the platter ends a bend', () => {
+    const wheels = createWheels();
+
+    wheels.turn('left', 10);
+    wheels.touch('left', true);
+
+    expect(actions.map(action => action.command)).toEqual([
+      'deck.nudgeStart', 'deck.nudge', 'deck.nudgeEnd', 'deck.scratchStart', 'deck.scratch'
+    ]);
+
+    wheels.reset();
+  });
+});
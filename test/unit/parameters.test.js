@@ -0,0 +1,200 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  encodeParameter,
+  getDeclaredParameters,
+  isParameterType,
+  ParameterAssembler,
+  validateParameterAddress
+} from '../../src/managers/parameters.js';
+
+const control = (midi) => ({ midi, action: { command: 'x' } });
+const cc = (channel, controller, value) => ({ type: 'cc', channel, controller, value });
+
+const MAPPINGS = {
+  filter: control({ type: 'nrpn', channel: 0, parameter: 1234, highRes: true }),
+  tune: control({ type: 'rpn', channel: 1, parameter: 0 }),
+  browse: control({ type: 'cc', channel: 6, controller: 100 })
+};
+
+describe('isParameterType', () => {
+  test('accepts nrpn and rpn only', () => {
+    expect(isParameterType('nrpn')).toBe(true);
+    expect(isParameterType('rpn')).toBe(true);
+    expect(isParameterType('cc')).toBe(false);
+  });
+});
+
+describe('validateParameterAddress', () => {
+  test('accepts a 14-bit parameter number', () => {
+    expect(() => validateParameterAddress({ type: 'nrpn', channel: 15, parameter: 16383 })).not.toThrow();
+  });
+
+  test('rejects a missing or out-of-range parameter', () => {
+    expect(() => validateParameterAddress({ type: 'nrpn', channel: 0 })).toThrow('"parameter"');
+    expect(() => validateParameterAddress({ type: 'rpn', channel: 0, parameter: 16384 })).toThrow('"parameter"');
+  });
+
+  test('rejects an invalid channel', () => {
+    expect(() => validateParameterAddress({ type: 'nrpn', channel: 16, parameter: 1 })).toThrow('"channel"');
+  });
+});
+
+describe('getDeclaredParameters', () => {
+  test('collects parameter channels and resolutions', () => {
+    const { channels, parameters } = getDeclaredParameters(MAPPINGS);
+
+    expect([...channels]).toEqual([0, 1]);
+    expect(parameters.get('nrpn:0:1234')).toEqual({ highRes: true });
+    expect(parameters.get('rpn:1:0')).toEqual({ highRes: false });
+  });
+
+  test('rejects a plain CC on a parameter CC of a parameter channel', () => {
+    for (const controller of [6, 38, 98, 99, 100, 101]) {
+      expect(() => getDeclaredParameters({
+        ...MAPPINGS,
+        plain: control({ type: 'cc', channel: 0, controller })
+      })).toThrow(`uses CC ${controller} on channel 0`);
+    }
+  });
+
+  test('rejects layered mappings that disagree on highRes', () => {
+    expect(() => getDeclaredParameters({
+      ...MAPPINGS,
+      filter_shift: control({ type: 'nrpn', channel: 0, parameter: 1234 })
+    })).toThrow('different "highRes"');
+  });
+
+  test('names the mapping of an invalid address', () => {
+    expect(() => getDeclaredParameters({ bad: control({ type: 'nrpn', channel: 0 }) }))
+      .toThrow('Mapping "bad" has invalid "midi"');
+  });
+});
+
+describe('encodeParameter', () => {
+  test('sends parameter number and Data Entry MSB for 7-bit values', () => {
+    expect(encodeParameter({ type: 'rpn', channel: 1, parameter: 0, value: 200 })).toEqual([
+      { channel: 1, controller: 101, value: 0 },
+      { channel: 1, controller: 100, value: 0 },
+      { channel: 1, controller: 6, value: 127 }
+    ]);
+  });
+
+  test('sends Data Entry MSB and LSB for highRes values', () => {
+    expect(encodeParameter({ type: 'nrpn', channel: 0, parameter: 1234, value: 8193, highRes: true })).toEqual([
+      { channel: 0, controller: 99, value: 9 },
+      { channel: 0, controller: 98, value: 82 },
+      { channel: 0, controller: 6, value: 64 },
+      { channel: 0, controller: 38, value: 1 }
+    ]);
+  });
+});
+
+describe('ParameterAssembler', () => {
+  let events;
+  let assembler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    events = [];
+    assembler = new ParameterAssembler(MAPPINGS, {
+      timeout: 50,
+      emit: (event) => events.push(event)
+    });
+  });
+
+  afterEach(() => {
+    assembler.dispose();
+    jest.useRealTimers();
+  });
+
+  test('leaves parameter CCs on undeclared channels alone', () => {
+    expect(assembler.process(cc(6, 100, 65))).toBe(false);
+    expect(assembler.process(cc(2, 6, 64))).toBe(false);
+    expect(assembler.process(cc(0, 7, 64))).toBe(false);
+    expect(events).toEqual([]);
+  });
+
+  test('emits a highRes parameter once its LSB arrives', () => {
+    expect(assembler.process(cc(0, 99, 9))).toBe(true);
+    expect(assembler.process(cc(0, 98, 82))).toBe(true);
+    expect(assembler.process(cc(0, 6, 64))).toBe(true);
+    expect(events).toEqual([]);
+
+    assembler.process(cc(0, 38, 0));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'nrpn', channel: 0, parameter: 1234, value: 8192, maxValue: 16383, highRes: true, msb: 64, lsb: 0 });
+    expect(events[0].normalized).toBeCloseTo(8192 / 16383);
+  });
+
+  test('emits a highRes MSB with LSB 0 when its LSB times out', () => {
+    assembler.process(cc(0, 99, 9));
+    assembler.process(cc(0, 98, 82));
+    assembler.process(cc(0, 6, 127));
+    jest.advanceTimersByTime(50);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ value: 127 << 7, lsb: 0 });
+  });
+
+  test('keeps the selected parameter for further data entries', () => {
+    assembler.process(cc(0, 99, 9));
+    assembler.process(cc(0, 98, 82));
+    assembler.process(cc(0, 6, 64));
+    assembler.process(cc(0, 38, 0));
+    assembler.process(cc(0, 6, 127));
+    assembler.process(cc(0, 38, 127));
+    assembler.process(cc(0, 38, 100));
+
+    expect(events.map(event => event.value)).toEqual([8192, 16383, (127 << 7) + 100]);
+  });
+
+  test('emits 7-bit parameters on the MSB and ignores the LSB', () => {
+    assembler.process(cc(1, 101, 0));
+    assembler.process(cc(1, 100, 0));
+    assembler.process(cc(1, 6, 127));
+    assembler.process(cc(1, 38, 5));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'rpn', parameter: 0, value: 127, maxValue: 127, normalized: 1, highRes: false, lsb: null });
+  });
+
+  test('ignores data entry before a parameter is selected', () => {
+    expect(assembler.process(cc(0, 6, 64))).toBe(true);
+    assembler.process(cc(0, 99, 9));
+    expect(assembler.process(cc(0, 6, 64))).toBe(true);
+    jest.advanceTimersByTime(100);
+
+    expect(events).toEqual([]);
+  });
+
+  test('RPN null deselects the parameter', () => {
+    assembler.process(cc(1, 101, 0));
+    assembler.process(cc(1, 100, 0));
+    assembler.process(cc(1, 101, 127));
+    assembler.process(cc(1, 100, 127));
+    assembler.process(cc(1, 6, 10));
+
+    expect(events).toEqual([]);
+  });
+
+  test('emits a pending highRes MSB when another parameter is selected', () => {
+    assembler.process(cc(0, 99, 9));
+    assembler.process(cc(0, 98, 82));
+    assembler.process(cc(0, 6, 64));
+    assembler.process(cc(0, 99, 0));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ parameter: 1234, value: 64 << 7 });
+  });
+
+  test('dispose cancels a pending MSB', () => {
+    assembler.process(cc(0, 99, 9));
+    assembler.process(cc(0, 98, 82));
+    assembler.process(cc(0, 6, 64));
+    assembler.dispose();
+    jest.advanceTimersByTime(100);
+
+    expect(events).toEqual([]);
+  });
+});
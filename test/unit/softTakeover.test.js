@@ -0,0 +1,103 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { SoftTakeover, validateSoftTakeover } from '../../src/translators/softTakeover.js';
+
+const PATH = 'left.eq.high';
+
+const mappings = (softTakeover) => ({
+  eq: { action: { command: 'x' }, softTakeover: { state: PATH, ...softTakeover } }
+});
+
+describe('validateSoftTakeover', () => {
+  test('defaults to pickup and needs a state path', () => {
+    expect(() => validateSoftTakeover({ state: PATH })).not.toThrow();
+    expect(() => validateSoftTakeover({})).toThrow('State path');
+  });
+
+  test('jump needs no state path', () => {
+    expect(() => validateSoftTakeover({ mode: 'jump' })).not.toThrow();
+  });
+
+  test('rejects unknown modes and invalid scales', () => {
+    expect(() => validateSoftTakeover({ mode: 'snap', state: PATH })).toThrow('Unknown soft takeover mode "snap"');
+    expect(() => validateSoftTakeover({ state: PATH, scale: [0] })).toThrow('"scale" must be [min, max]');
+    expect(() => validateSoftTakeover(null)).toThrow('must be an object');
+  });
+});
+
+describe('SoftTakeover', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('passes controls without takeover through', () => {
+    const takeover = new SoftTakeover({ ...mappings({ mode: 'jump' }), plain: { action: { command: 'x' } } });
+
+    expect(takeover.process('eq', 0.9, 0.1, PATH)).toBe(0.9);
+    expect(takeover.process('plain', 0.9, 0.1, PATH)).toBe(0.9);
+  });
+
+  test('passes values through while the engine value is unknown', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    expect(takeover.process('eq', 0.9, undefined, PATH)).toBe(0.9);
+  });
+
+  test('pickup ignores the control until it crosses the engine value', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    expect(takeover.process('eq', 0.1, 0.5, PATH)).toBeNull();
+    expect(takeover.process('eq', 0.3, 0.5, PATH)).toBeNull();
+    expect(takeover.process('eq', 0.6, 0.5, PATH)).toBe(0.6);
+    expect(takeover.process('eq', 0.2, 0.5, PATH)).toBe(0.2);
+  });
+
+  test('pickup engages within the threshold', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    expect(takeover.process('eq', 0.52, 0.5, PATH)).toBe(0.52);
+  });
+
+  test('pickup maps the engine value through scale', () => {
+    const takeover = new SoftTakeover(mappings({ scale: [-1, 1] }));
+
+    expect(takeover.process('eq', 0.9, 0, PATH)).toBeNull();
+    expect(takeover.process('eq', 0.5, 0, PATH)).toBe(0.5);
+  });
+
+  test('scaled closes the gap proportionally', () => {
+    const takeover = new SoftTakeover(mappings({ mode: 'scaled' }));
+
+    expect(takeover.process('eq', 0.2, 0.6, PATH)).toBeNull();
+    expect(takeover.process('eq', 0.4, 0.6, PATH)).toBeCloseTo(0.7);
+    expect(takeover.process('eq', 1, 0.6, PATH)).toBe(1);
+  });
+
+  test('a different state path must be picked up again', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    expect(takeover.process('eq', 0.5, 0.5, PATH)).toBe(0.5);
+    expect(takeover.process('eq', 0.6, 0.1, 'right.eq.high')).toBeNull();
+  });
+
+  test('disengages when the engine moves on its own', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    expect(takeover.process('eq', 0.5, 0.5, PATH)).toBe(0.5);
+    jest.advanceTimersByTime(400);
+
+    expect(takeover.process('eq', 0.55, 0.9, PATH)).toBeNull();
+  });
+
+  test('reset forgets engaged controls', () => {
+    const takeover = new SoftTakeover(mappings());
+
+    takeover.process('eq', 0.5, 0.5, PATH);
+    takeover.reset();
+
+    expect(takeover.process('eq', 0.9, 0.5, PATH)).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseStatePath,
+  resolveStatePath,
+  transformStateValue,
+  validateTransform
+} from '../../src/feedback/stateBindings.js';
+
+describe('parseStatePath', () => {
+  test('splits properties and indexes', () => {
+    expect(parseStatePath('deckB.hotcues[3].set')).toEqual(['deckB', 'hotcues', 3, 'set']);
+  });
+
+  test('rejects malformed paths', () => {
+    expect(() => parseStatePath('')).toThrow('non-empty string');
+    expect(() => parseStatePath('deckA..loop')).toThrow('Invalid state path');
+    expect(() => parseStatePath('deckA.hotcues[x]')).toThrow('Invalid state path');
+  });
+});
+
+describe('resolveStatePath', () => {
+  test('returns undefined for missing segments', () => {
+    const state = { deckA: { hotcues: [{ set: true }] } };
+
+    expect(resolveStatePath(state, ['deckA', 'hotcues', 0, 'set'])).toBe(true);
+    expect(resolveStatePath(state, ['deckA', 'loop', 'enabled'])).toBeUndefined();
+  });
+});
+
+describe('validateTransform', () => {
+  test('accepts the documented transforms', () => {
+    for (const transform of [undefined, 'boolean', 'raw', { equals: 'A' }, { threshold: 0.8 }, { scale: [0, 1], range: [0, 127] }]) {
+      expect(() => validateTransform(transform)).not.toThrow();
+    }
+  });
+
+  test('rejects unknown transforms', () => {
+    expect(() => validateTransform('invert')).toThrow('Unknown feedback transform "invert"');
+    expect(() => validateTransform({ clamp: 1 })).toThrow('equals, threshold or scale');
+  });
+
+  test('rejects an empty or non-numeric scale', () => {
+    expect(() => validateTransform({ scale: [0.5, 0.5] })).toThrow('two different numbers');
+    expect(() => validateTransform({ scale: ['0', 1] })).toThrow('two different numbers');
+    expect(() => validateTransform({ scale: [0, 1], range: [0] })).toThrow('"range"');
+  });
+});
+
+describe('transformStateValue', () => {
+  test('maps values to on/off keys', () => {
+    expect(transformStateValue(1)).toBe('on');
+    expect(transformStateValue(0)).toBe('off');
+    expect(transformStateValue('B', { equals: 'A' })).toBe('off');
+    expect(transformStateValue(0.9, { threshold: 0.8 })).toBe('on');
+    expect(transformStateValue('0.9', { threshold: 0.8 })).toBe('off');
+  });
+
+  test('stringifies raw values', () => {
+    expect(transformStateValue('roll', 'raw')).toBe('roll');
+    expect(transformStateValue(false, 'raw')).toBe('false');
+  });
+
+  test('scales into the output range and clamps', () => {
+    expect(transformStateValue(0.5, { scale: [0, 1] })).toBe(64);
+    expect(transformStateValue(2, { scale: [0, 1], range: [0, 10] })).toBe(10);
+    expect(transformStateValue(undefined, { scale: [-1, 1] })).toBe(0);
+  });
+});